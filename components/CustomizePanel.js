@@ -0,0 +1,158 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Lets readers put their own hostname, port and so on into a guide's commands
+ *
+ * Values are kept per guide in localStorage under
+ * howtomgr-placeholders:{storageKey}; code blocks in GuideContent show them
+ * in place of the guide's example values.
+ */
+
+export function usePlaceholderValues(storageKey) {
+  const [values, setValues] = useState({});
+  const key = `howtomgr-placeholders:${storageKey}`;
+
+  // Read after mounting, so the server-rendered page shows the guide's own values
+  useEffect(() => {
+    try {
+      setValues(JSON.parse(localStorage.getItem(key)) || {});
+    } catch (error) {
+      setValues({});
+    }
+  }, [key]);
+
+  const save = (next) => {
+    try {
+      if (Object.keys(next).length > 0) localStorage.setItem(key, JSON.stringify(next));
+      else localStorage.removeItem(key);
+    } catch (error) {
+      // Storage full or disabled: the values still apply for this visit
+    }
+    return next;
+  };
+
+  const setValue = (name, value) => {
+    setValues(previous => {
+      // undefined goes back to the guide's value; an emptied field is kept so it can be retyped
+      const next = { ...previous, [name]: value };
+      if (value === undefined) delete next[name];
+      return save(next);
+    });
+  };
+
+  const reset = () => setValues(save({}));
+
+  return [values, setValue, reset];
+}
+
+export default function CustomizePanel({ placeholders, values, onChange, onReset }) {
+  if (placeholders.length === 0) return null;
+
+  const customized = placeholders.some(placeholder => values[placeholder.key]);
+
+  return (
+    <details className="customize-panel" open={customized || undefined}>
+      <summary>
+        <span role="img" aria-hidden="true">⚙️</span> Customize commands
+        {customized && <span className="customized-badge">customized</span>}
+      </summary>
+
+      <p className="customize-hint">Commands below use your values. They are remembered for this guide.</p>
+
+      <div className="customize-fields">
+        {placeholders.map(placeholder => (
+          <label key={placeholder.key} className="customize-field">
+            <span className="customize-label">{placeholder.label}</span>
+            <input
+              type={placeholder.key === 'port' ? 'number' : 'text'}
+              value={values[placeholder.key] ?? placeholder.value}
+              onChange={(e) => onChange(placeholder.key, e.target.value === placeholder.value ? undefined : e.target.value)}
+              spellCheck="false"
+              autoComplete="off"
+              className="customize-input"
+            />
+          </label>
+        ))}
+      </div>
+
+      {customized && (
+        <button type="button" className="customize-reset" onClick={onReset}>
+          Restore the guide's values
+        </button>
+      )}
+
+      <style jsx>{`
+        .customize-panel {
+          background: var(--bg-primary);
+          border: 1px solid var(--bg-surface);
+          border-radius: var(--border-radius);
+          padding: var(--space-3) var(--space-4);
+          margin-bottom: var(--space-6);
+        }
+
+        summary {
+          cursor: pointer;
+          font-weight: 600;
+          color: var(--text-primary);
+        }
+
+        .customized-badge {
+          margin-left: var(--space-2);
+          font-size: var(--font-xs);
+          font-weight: 500;
+          color: var(--accent-primary);
+        }
+
+        .customize-hint {
+          color: var(--text-secondary);
+          font-size: var(--font-sm);
+          margin: var(--space-2) 0 var(--space-3);
+        }
+
+        .customize-fields {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+          gap: var(--space-3);
+        }
+
+        .customize-field {
+          display: flex;
+          flex-direction: column;
+          gap: var(--space-1);
+        }
+
+        .customize-label {
+          color: var(--text-secondary);
+          font-size: var(--font-xs);
+          font-weight: 500;
+        }
+
+        .customize-input {
+          background: var(--bg-secondary);
+          border: 1px solid var(--bg-surface);
+          border-radius: var(--border-radius);
+          color: var(--text-primary);
+          font-family: var(--font-mono);
+          font-size: var(--font-sm);
+          padding: var(--space-2);
+          min-height: 40px;
+        }
+
+        .customize-input:focus {
+          outline: none;
+          border-color: var(--accent-primary);
+        }
+
+        .customize-reset {
+          margin-top: var(--space-3);
+          background: none;
+          border: none;
+          color: var(--accent-primary);
+          font-size: var(--font-sm);
+          cursor: pointer;
+          padding: 0;
+        }
+      `}</style>
+    </details>
+  );
+}
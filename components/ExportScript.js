@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import { PLATFORMS } from '../lib/platforms';
+import { buildInstallScript } from '../lib/install-script';
+import { usePlatformPreference, usePlatformProfile } from '../lib/platform-preference';
+
+/**
+ * "Export script" action for guide pages
+ *
+ * Downloads the guide's shell steps for one platform as a single script
+ * (lib/install-script.js), with the reader's customized values filled in.
+ * The build publishes the same script, with the guide's own values, under
+ * /api/v1/{category}/{tool}/install-{os}.sh.
+ */
+export default function ExportScript({ guide, values = {} }) {
+  const [platform] = usePlatformPreference();
+  const [profile] = usePlatformProfile();
+  const [chosen, setChosen] = useState(null);
+
+  const available = guide.installScripts || [];
+  if (available.length === 0 || !guide.readmeAst) return null;
+
+  // The reader's pick, else the platform they last chose, else their profile
+  const selected = [chosen, platform, ...profile].find(key => available.includes(key)) || available[0];
+
+  const download = () => {
+    const script = buildInstallScript(guide.readmeAst, selected, guide, values);
+    const url = URL.createObjectURL(new Blob([script], { type: 'text/x-shellscript' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${guide.slug}-install-${selected}.sh`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  return (
+    <div className="export-script">
+      <label htmlFor="export-platform" className="export-label">
+        <span role="img" aria-hidden="true">📜</span> Export script for
+      </label>
+      <select
+        id="export-platform"
+        value={selected}
+        onChange={(e) => setChosen(e.target.value)}
+        className="export-select"
+      >
+        {PLATFORMS.filter(p => available.includes(p.key)).map(p => (
+          <option key={p.key} value={p.key}>{p.label}</option>
+        ))}
+      </select>
+      <button type="button" className="btn btn-secondary export-button" onClick={download}>
+        Download .sh
+      </button>
+      <a
+        href={`/api/v1/${guide.category}/${guide.slug}/install-${selected}.sh`}
+        className="export-static"
+        title="The published script uses the guide's own example values"
+      >
+        Published copy
+      </a>
+
+      <style jsx>{`
+        .export-script {
+          display: flex;
+          align-items: center;
+          flex-wrap: wrap;
+          gap: var(--space-2);
+          margin-bottom: var(--space-6);
+          font-size: var(--font-sm);
+        }
+
+        .export-label {
+          font-weight: 600;
+          color: var(--text-primary);
+        }
+
+        .export-select {
+          background: var(--bg-primary);
+          border: 1px solid var(--bg-surface);
+          border-radius: var(--border-radius);
+          color: var(--text-primary);
+          font-size: var(--font-sm);
+          padding: var(--space-2);
+          min-height: 40px;
+        }
+
+        .export-static {
+          color: var(--text-secondary);
+          font-size: var(--font-xs);
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,376 @@
+/**
+ * Renders a guide README from the block tree built by lib/markdown.js
+ *
+ * Blocks become React elements with the same classes as readmeHtml, so the
+ * mobile styles and the delegated copy button handler apply unchanged. Inline
+ * content and highlighted code arrive as sanitized HTML from the build.
+ *
+ * Task list checkboxes are interactive here; their state is kept per guide in
+ * localStorage under howtomgr-tasks:{storageKey}. Example values marked in
+ * code (see lib/placeholders.js) show the reader's placeholderValues. Code
+ * blocks and numbered steps get a "done" checkbox when progress (from
+ * components/GuideProgress) is given.
+ * Sections written for different operating systems become tabs showing the
+ * reader's platform; with a platform profile set, only the profile's tabs are
+ * offered until the reader asks for the rest.
+ */
+
+import { createContext, useContext, useEffect, useRef, useState } from 'react';
+import { usePlatformPreference, usePlatformProfile } from '../lib/platform-preference';
+import { fillPlaceholders } from '../lib/placeholders';
+
+const TaskContext = createContext(null);
+const PlaceholderContext = createContext({});
+const ProgressContext = createContext(null);
+
+function html(content) {
+  return { __html: content };
+}
+
+function StepCheckbox({ step, label }) {
+  const progress = useContext(ProgressContext);
+
+  return (
+    <input
+      type="checkbox"
+      className="step-checkbox"
+      checked={!!progress.done[step]}
+      onChange={(e) => progress.toggle(step, e.target.checked)}
+      aria-label={label}
+    />
+  );
+}
+
+function CodeBlock({ node }) {
+  const values = useContext(PlaceholderContext);
+  const progress = useContext(ProgressContext);
+  const step = progress && node.step;
+  const done = step && progress.done[step];
+
+  return (
+    <div id={step || undefined} className={`mobile-code-block${done ? ' step-done' : ''}`} data-language={node.language}>
+      <div className="mobile-code-header">
+        <span className="mobile-code-language">{node.language === 'text' ? '' : node.language}</span>
+        {step && (
+          <label className="step-toggle">
+            <StepCheckbox step={step} label="Mark this step done" />
+            <span>Done</span>
+          </label>
+        )}
+        <button type="button" className="mobile-copy-button" title="Copy code">
+          <span className="copy-icon">📋</span>
+          <span className="copy-text">Copy</span>
+        </button>
+      </div>
+      <div className="mobile-code-content">
+        <pre><code className={`language-${node.language}`} dangerouslySetInnerHTML={html(fillPlaceholders(node.highlighted, values))} /></pre>
+      </div>
+    </div>
+  );
+}
+
+function Table({ node }) {
+  const alignClass = column => (node.align[column] ? `mobile-table-align-${node.align[column]}` : undefined);
+
+  return (
+    <div className="mobile-table" tabIndex={0}>
+      <table>
+        <thead>
+          <tr>
+            {node.header.map((cell, column) => (
+              <th key={column} className={alignClass(column)} dangerouslySetInnerHTML={html(cell)} />
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {node.rows.map((row, index) => (
+            <tr key={index}>
+              {row.map((cell, column) => (
+                <td key={column} className={alignClass(column)} dangerouslySetInnerHTML={html(cell)} />
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function TaskCheckbox({ task }) {
+  const tasks = useContext(TaskContext);
+  const checked = tasks.checked[task.id] ?? task.checked;
+
+  return (
+    <input
+      type="checkbox"
+      className="task-list-checkbox"
+      checked={checked}
+      onChange={(e) => tasks.setChecked(task.id, e.target.checked)}
+    />
+  );
+}
+
+function List({ node }) {
+  const Tag = node.ordered ? 'ol' : 'ul';
+  const progress = useContext(ProgressContext);
+
+  return (
+    <Tag start={node.start !== 1 ? node.start : undefined}>
+      {node.children.map((item, index) => {
+        const step = progress && item.step;
+        const classes = ['mobile-list-item'];
+        if (item.task) classes.push('task-list-item');
+        if (step) classes.push('step-list-item');
+        if (step && progress.done[step]) classes.push('step-done');
+
+        return (
+          <li key={index} id={step || undefined} className={classes.join(' ')}>
+            {item.task && <><TaskCheckbox task={item.task} />{' '}</>}
+            {step && <><StepCheckbox step={step} label={`Mark step ${index + node.start} done`} />{' '}</>}
+            <Blocks nodes={item.children} tight={!node.loose} />
+          </li>
+        );
+      })}
+    </Tag>
+  );
+}
+
+function PlatformTabs({ node }) {
+  const [platform, setPlatform] = usePlatformPreference({ syncUrl: true });
+  const [profile] = usePlatformProfile();
+  const progress = useContext(ProgressContext);
+  const reportActiveTab = progress && progress.setActiveTab;
+  // A tab opened directly, by a click or a link to something inside it
+  const [selected, setSelected] = useState(null);
+  const [showingAll, setShowingAll] = useState(false);
+  const panels = useRef([]);
+  const tabs = useRef([]);
+
+  // The profile's tabs, unless none or all of them match
+  const indexes = node.children.map((tab, index) => index);
+  const matching = indexes.filter(index => node.children[index].platforms.some(key => profile.includes(key)));
+  const shown = !showingAll && matching.length > 0 && matching.length < indexes.length ? matching : indexes;
+
+  const preferred = shown.find(index => node.children[index].platforms.includes(platform)) ?? shown[0];
+  const active = shown.includes(selected) ? selected : preferred;
+
+  // Only the shown tab's steps count towards progress
+  const group = node.children[0].children[0].id;
+  useEffect(() => {
+    if (reportActiveTab) reportActiveTab(group, active);
+  }, [reportActiveTab, group, active]);
+
+  // Links to a heading in a hidden tab open that tab first
+  useEffect(() => {
+    const openLinkedTab = () => {
+      const id = decodeURIComponent(window.location.hash.slice(1));
+      const target = id && document.getElementById(id);
+      if (!target) return;
+
+      const index = panels.current.findIndex(panel => panel && panel.contains(target));
+      if (index !== -1) {
+        setShowingAll(true);
+        setSelected(index);
+        requestAnimationFrame(() => target.scrollIntoView());
+      }
+    };
+
+    openLinkedTab();
+    window.addEventListener('hashchange', openLinkedTab);
+    return () => window.removeEventListener('hashchange', openLinkedTab);
+  }, []);
+
+  const selectTab = (index) => {
+    setSelected(index);
+    // A tab covering several platforms keeps the current choice if it is one of them
+    if (!node.children[index].platforms.includes(platform)) {
+      setPlatform(node.children[index].platforms[0]);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    const step = { ArrowRight: 1, ArrowLeft: -1 }[e.key];
+    if (!step) return;
+
+    e.preventDefault();
+    const position = (shown.indexOf(active) + step + shown.length) % shown.length;
+    const index = shown[position];
+    selectTab(index);
+    tabs.current[index].focus();
+  };
+
+  return (
+    <div className="platform-tabs">
+      <div className="platform-tabbar">
+        <div className="platform-tablist" role="tablist" aria-label="Operating system">
+          {shown.map(index => {
+            const tab = node.children[index];
+            const id = tab.children[0].id;
+            return (
+              <button
+                key={id}
+                ref={el => { tabs.current[index] = el; }}
+                type="button"
+                role="tab"
+                id={`tab-${id}`}
+                aria-selected={index === active}
+                aria-controls={`panel-${id}`}
+                tabIndex={index === active ? 0 : -1}
+                className={`platform-tab ${index === active ? 'active' : ''}`}
+                onClick={() => selectTab(index)}
+                onKeyDown={handleKeyDown}
+              >
+                {tab.label}
+              </button>
+            );
+          })}
+        </div>
+
+        {shown.length < indexes.length && (
+          <button type="button" className="platform-more" onClick={() => setShowingAll(true)}>
+            +{indexes.length - shown.length} more
+          </button>
+        )}
+      </div>
+
+      {node.children.map((tab, index) => {
+        const id = tab.children[0].id;
+        return (
+          <div
+            key={id}
+            ref={el => { panels.current[index] = el; }}
+            role="tabpanel"
+            id={`panel-${id}`}
+            aria-labelledby={`tab-${id}`}
+            hidden={index !== active}
+            className="platform-panel"
+          >
+            <Blocks nodes={tab.children} />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function Block({ node, tight }) {
+  switch (node.type) {
+    case 'heading': {
+      const Heading = `h${node.level}`;
+      return (
+        <Heading id={node.id} className="mobile-header">
+          <span dangerouslySetInnerHTML={html(node.html)} />
+          <a href={`#${node.id}`} className="header-anchor" aria-label="Copy link to this section">#</a>
+        </Heading>
+      );
+    }
+    case 'paragraph':
+      // Tight list items keep their text bare, as on GitHub
+      return tight
+        ? <span dangerouslySetInnerHTML={html(node.html)} />
+        : <p className="mobile-paragraph" dangerouslySetInnerHTML={html(node.html)} />;
+    case 'code':
+      return <CodeBlock node={node} />;
+    case 'thematicBreak':
+      return <hr className="mobile-divider" />;
+    case 'html':
+      // Raw HTML blocks need an element of their own; display: contents keeps it out of the layout
+      return <div className="mobile-html" dangerouslySetInnerHTML={html(node.html)} />;
+    case 'table':
+      return <Table node={node} />;
+    case 'list':
+      return <List node={node} />;
+    case 'blockquote':
+      return (
+        <blockquote className="mobile-blockquote">
+          <Blocks nodes={node.children} />
+        </blockquote>
+      );
+    case 'definitionList':
+      return (
+        <dl className="mobile-definition-list">
+          <Blocks nodes={node.children} />
+        </dl>
+      );
+    case 'term':
+      return <dt dangerouslySetInnerHTML={html(node.html)} />;
+    case 'definition':
+      return (
+        <dd>
+          <Blocks nodes={node.children} tight />
+        </dd>
+      );
+    case 'platformTabs':
+      return <PlatformTabs node={node} />;
+    case 'footnotes':
+      return (
+        <section className="footnotes" aria-label="Footnotes">
+          <ol>
+            {node.children.map(footnote => (
+              <li key={footnote.id} id={footnote.id} className="footnote">
+                <Blocks nodes={footnote.children} />
+              </li>
+            ))}
+          </ol>
+        </section>
+      );
+    case 'alert':
+      return (
+        <div className={`mobile-callout mobile-callout-${node.variant}`} role="note" aria-label={node.title}>
+          <p className="mobile-callout-title">
+            <span className="mobile-callout-icon" aria-hidden="true">{node.icon}</span>
+            {node.title}
+          </p>
+          <Blocks nodes={node.children} />
+        </div>
+      );
+    default:
+      return null;
+  }
+}
+
+function Blocks({ nodes, tight = false }) {
+  return nodes.map((node, index) => <Block key={index} node={node} tight={tight} />);
+}
+
+export default function GuideContent({ ast, storageKey, placeholderValues = {}, progress = null }) {
+  const [checked, setCheckedState] = useState({});
+  const key = `howtomgr-tasks:${storageKey}`;
+
+  // Saved state is read after mounting, so the server-rendered page shows the README's own state
+  useEffect(() => {
+    if (!storageKey) return;
+
+    try {
+      setCheckedState(JSON.parse(localStorage.getItem(key)) || {});
+    } catch (error) {
+      setCheckedState({});
+    }
+  }, [key, storageKey]);
+
+  const setChecked = (id, value) => {
+    setCheckedState(previous => {
+      const next = { ...previous, [id]: value };
+      if (storageKey) {
+        try {
+          localStorage.setItem(key, JSON.stringify(next));
+        } catch (error) {
+          // Storage full or disabled: the checkbox still works for this visit
+        }
+      }
+      return next;
+    });
+  };
+
+  return (
+    <TaskContext.Provider value={{ checked, setChecked }}>
+      <PlaceholderContext.Provider value={placeholderValues}>
+        <ProgressContext.Provider value={progress}>
+          <div className="readme-content">
+            <Blocks nodes={ast.children} />
+          </div>
+        </ProgressContext.Provider>
+      </PlaceholderContext.Provider>
+    </TaskContext.Provider>
+  );
+}
@@ -0,0 +1,177 @@
+import { useCallback, useEffect, useState } from 'react';
+
+/**
+ * Progress through a guide's steps
+ *
+ * Every code block and numbered list item is a step (see
+ * MarkdownProcessor.markSteps). Steps marked done are kept per guide in
+ * localStorage under howtomgr-progress:{storageKey}. Steps inside platform
+ * tabs only count for the tab being shown, so following one platform can
+ * reach 100%.
+ */
+
+export function useGuideProgress(storageKey, steps = []) {
+  const [done, setDone] = useState({});
+  const [activeTabs, setActiveTabs] = useState({});
+  const key = `howtomgr-progress:${storageKey}`;
+
+  // Read after mounting, so the server-rendered page starts with nothing done
+  useEffect(() => {
+    try {
+      setDone(JSON.parse(localStorage.getItem(key)) || {});
+    } catch (error) {
+      setDone({});
+    }
+  }, [key]);
+
+  const save = (next) => {
+    try {
+      if (Object.keys(next).length > 0) localStorage.setItem(key, JSON.stringify(next));
+      else localStorage.removeItem(key);
+    } catch (error) {
+      // Storage full or disabled: progress still shows for this visit
+    }
+    return next;
+  };
+
+  const toggle = (id, value) => {
+    setDone(previous => {
+      const next = { ...previous, [id]: true };
+      if (!value) delete next[id];
+      return save(next);
+    });
+  };
+
+  const reset = () => setDone(save({}));
+
+  // Platform tabs report the tab they show; stable so they can call it from an effect
+  const setActiveTab = useCallback((group, tab) => {
+    setActiveTabs(previous => (previous[group] === tab ? previous : { ...previous, [group]: tab }));
+  }, []);
+
+  const counted = steps.filter(step => step.group === null || (activeTabs[step.group] ?? 0) === step.tab);
+
+  return { done, toggle, reset, setActiveTab, counted };
+}
+
+// The first step left after the furthest one done, else the first step left
+function resumeTarget(counted, done) {
+  let furthest = -1;
+  counted.forEach((step, index) => {
+    if (done[step.id]) furthest = index;
+  });
+
+  return counted.slice(furthest + 1).find(step => !done[step.id]) || counted.find(step => !done[step.id]);
+}
+
+export default function GuideProgress({ progress }) {
+  const { counted, done, reset } = progress;
+  if (counted.length === 0) return null;
+
+  const completed = counted.filter(step => done[step.id]).length;
+  const percent = Math.round((completed / counted.length) * 100);
+  const next = resumeTarget(counted, done);
+
+  const resume = () => {
+    const element = next && document.getElementById(next.id);
+    if (!element) return;
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const checkbox = element.querySelector('.step-checkbox');
+    if (checkbox) checkbox.focus({ preventScroll: true });
+  };
+
+  return (
+    <div className="guide-progress">
+      <div className="progress-summary">
+        <span className="progress-label">
+          {completed === counted.length ? '🎉 All steps done' : `${completed} of ${counted.length} steps done`}
+        </span>
+
+        <div className="progress-actions">
+          {completed > 0 && next && (
+            <button type="button" className="progress-button" onClick={resume}>
+              ⏩ Resume where I left off
+            </button>
+          )}
+          {completed > 0 && (
+            <button type="button" className="progress-button progress-reset" onClick={reset}>
+              Reset
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div
+        className="progress-track"
+        role="progressbar"
+        aria-label="Guide progress"
+        aria-valuemin={0}
+        aria-valuemax={counted.length}
+        aria-valuenow={completed}
+      >
+        <div className="progress-fill" style={{ width: `${percent}%` }} />
+      </div>
+
+      <style jsx>{`
+        .guide-progress {
+          margin-top: var(--space-4);
+        }
+
+        .progress-summary {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          flex-wrap: wrap;
+          gap: var(--space-2);
+          margin-bottom: var(--space-2);
+        }
+
+        .progress-label {
+          color: var(--text-secondary);
+          font-size: var(--font-sm);
+        }
+
+        .progress-actions {
+          display: flex;
+          gap: var(--space-2);
+        }
+
+        .progress-button {
+          background: var(--bg-surface);
+          border: none;
+          border-radius: var(--border-radius);
+          color: var(--text-primary);
+          font-size: var(--font-xs);
+          padding: var(--space-1) var(--space-3);
+          min-height: 32px;
+          cursor: pointer;
+          transition: var(--transition);
+        }
+
+        .progress-button:hover {
+          background: var(--accent-primary);
+          color: var(--bg-primary);
+        }
+
+        .progress-reset {
+          background: none;
+          color: var(--text-muted);
+        }
+
+        .progress-track {
+          height: 6px;
+          background: var(--bg-surface);
+          border-radius: 3px;
+          overflow: hidden;
+        }
+
+        .progress-fill {
+          height: 100%;
+          background: var(--accent-secondary);
+          transition: width 0.3s ease;
+        }
+      `}</style>
+    </div>
+  );
+}
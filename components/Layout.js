@@ -1,8 +1,9 @@
 import { useState } from 'react';
 import Link from 'next/link';
 import Head from 'next/head';
+import PlatformProfile from './PlatformProfile';
 
-export default function Layout({ children, title, description, lastUpdated }) {
+export default function Layout({ children, title, description, lastUpdated, keywords = [], image }) {
   const [theme, setTheme] = useState('dark');
 
   const toggleTheme = () => {
@@ -22,14 +23,14 @@ export default function Layout({ children, title, description, lastUpdated }) {
           name="description"
           content={description || 'Comprehensive installation guides for popular software and services. Mobile-first design with security hardening and cross-platform support.'}
         />
-        <meta name="keywords" content="installation guides, tutorials, linux, docker, kubernetes, mobile-first, responsive" />
+        <meta name="keywords" content={[...keywords, 'installation guides, tutorials, linux, docker, kubernetes, mobile-first, responsive'].join(', ')} />
 
         {/* Open Graph */}
         <meta property="og:title" content={title ? `${title} - HowToMgr` : 'HowToMgr - Installation Guides'} />
         <meta property="og:description" content={description || 'Learn. Install. Deploy. Mobile-first installation guides.'} />
         <meta property="og:type" content="website" />
         <meta property="og:url" content="https://howtomgr.github.io" />
-        <meta property="og:image" content="https://howtomgr.github.io/social-preview.png" />
+        <meta property="og:image" content={image || 'https://howtomgr.github.io/social-preview.png'} />
 
         {/* Twitter */}
         <meta property="twitter:card" content="summary_large_image" />
@@ -55,15 +56,19 @@ export default function Layout({ children, title, description, lastUpdated }) {
               <Link href="/search/" className="nav-link">Search</Link>
             </div>
 
-            <button
-              className="mobile-theme-toggle touch-target"
-              onClick={toggleTheme}
-              aria-label="Toggle theme"
-              title="Switch theme"
-            >
-              <span className="theme-icon-dark">🌙</span>
-              <span className="theme-icon-light" style={{ display: 'none' }}>☀️</span>
-            </button>
+            <div className="nav-actions">
+              <PlatformProfile />
+
+              <button
+                className="mobile-theme-toggle touch-target"
+                onClick={toggleTheme}
+                aria-label="Toggle theme"
+                title="Switch theme"
+              >
+                <span className="theme-icon-dark">🌙</span>
+                <span className="theme-icon-light" style={{ display: 'none' }}>☀️</span>
+              </button>
+            </div>
           </div>
         </nav>
 
@@ -80,6 +85,7 @@ export default function Layout({ children, title, description, lastUpdated }) {
             <div className="footer-content">
               <div className="footer-links">
                 <Link href="/">Home</Link>
+                <Link href="/changes/">Changes</Link>
                 <a href="https://github.com/howtomgr" target="_blank" rel="noopener">
                   GitHub
                 </a>
@@ -192,6 +198,12 @@ export default function Layout({ children, title, description, lastUpdated }) {
           gap: var(--space-4);
         }
 
+        .nav-actions {
+          display: flex;
+          align-items: center;
+          gap: var(--space-2);
+        }
+
         .nav-link {
           color: var(--text-primary);
           text-decoration: none;
@@ -0,0 +1,211 @@
+import { useEffect, useRef, useState } from 'react';
+import { PLATFORMS } from '../lib/platforms';
+import { usePlatformProfile } from '../lib/platform-preference';
+
+/**
+ * "My platforms" picker for the navigation and the notice listings show when
+ * it hides guides
+ */
+
+export function profileLabel(profile) {
+  return PLATFORMS.filter(platform => profile.includes(platform.key)).map(platform => platform.label).join(', ');
+}
+
+export default function PlatformProfile() {
+  const [profile, setProfile] = usePlatformProfile();
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    document.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      document.removeEventListener('mousedown', handleClick);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [open]);
+
+  const toggle = (key) => {
+    setProfile(profile.includes(key) ? profile.filter(k => k !== key) : [...profile, key]);
+  };
+
+  return (
+    <div className="platform-profile" ref={containerRef}>
+      <button
+        className={`profile-toggle touch-target ${profile.length > 0 ? 'active' : ''}`}
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        aria-controls="platform-profile-panel"
+        title={profile.length > 0 ? `My platforms: ${profileLabel(profile)}` : 'Choose my platforms'}
+      >
+        <span role="img" aria-hidden="true">🖥️</span>
+        <span className="profile-count">{profile.length > 0 ? profile.length : 'OS'}</span>
+        <span className="sr-only">My platforms</span>
+      </button>
+
+      {open && (
+        <div id="platform-profile-panel" className="profile-panel">
+          <fieldset>
+            <legend>My platforms</legend>
+            <p className="profile-hint">Guides and sections for other platforms are hidden.</p>
+
+            {PLATFORMS.map(platform => (
+              <label key={platform.key} className="profile-option">
+                <input
+                  type="checkbox"
+                  checked={profile.includes(platform.key)}
+                  onChange={() => toggle(platform.key)}
+                />
+                {platform.label}
+              </label>
+            ))}
+          </fieldset>
+
+          {profile.length > 0 && (
+            <button className="profile-clear" onClick={() => setProfile([])}>
+              Show all platforms
+            </button>
+          )}
+        </div>
+      )}
+
+      <style jsx>{`
+        .platform-profile {
+          position: relative;
+        }
+
+        .profile-toggle {
+          display: flex;
+          align-items: center;
+          gap: var(--space-1);
+          background: none;
+          border: 1px solid var(--bg-surface);
+          border-radius: var(--border-radius);
+          color: var(--text-primary);
+          font-size: var(--font-sm);
+          padding: var(--space-1) var(--space-2);
+          cursor: pointer;
+          transition: var(--transition);
+        }
+
+        .profile-toggle:hover,
+        .profile-toggle.active {
+          border-color: var(--accent-primary);
+          color: var(--accent-primary);
+        }
+
+        .profile-count {
+          font-weight: 600;
+        }
+
+        .profile-panel {
+          position: absolute;
+          right: 0;
+          top: calc(100% + var(--space-2));
+          width: 240px;
+          background: var(--bg-secondary);
+          border: 1px solid var(--bg-surface);
+          border-radius: var(--border-radius);
+          box-shadow: var(--box-shadow-lg);
+          padding: var(--space-3);
+          z-index: 1001;
+        }
+
+        fieldset {
+          border: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        legend {
+          font-weight: 600;
+          color: var(--text-primary);
+          margin-bottom: var(--space-1);
+        }
+
+        .profile-hint {
+          color: var(--text-secondary);
+          font-size: var(--font-xs);
+          margin: 0 0 var(--space-2);
+        }
+
+        .profile-option {
+          display: flex;
+          align-items: center;
+          gap: var(--space-2);
+          min-height: 36px;
+          color: var(--text-primary);
+          font-size: var(--font-sm);
+          cursor: pointer;
+        }
+
+        .profile-clear {
+          width: 100%;
+          margin-top: var(--space-2);
+          background: var(--bg-surface);
+          border: none;
+          border-radius: var(--border-radius);
+          color: var(--text-primary);
+          font-size: var(--font-sm);
+          padding: var(--space-2);
+          cursor: pointer;
+        }
+
+        .profile-clear:hover {
+          color: var(--accent-primary);
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export function ProfileNotice({ profile, hiddenCount, onShowAll }) {
+  if (hiddenCount === 0) return null;
+
+  return (
+    <div className="profile-notice" role="status">
+      <span>
+        {hiddenCount} {hiddenCount === 1 ? 'guide doesn\'t' : 'guides don\'t'} cover {profileLabel(profile)} and {hiddenCount === 1 ? 'is' : 'are'} hidden.
+      </span>
+      <button onClick={onShowAll}>Show all</button>
+
+      <style jsx>{`
+        .profile-notice {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: var(--space-3);
+          flex-wrap: wrap;
+          background: var(--bg-secondary);
+          border: 1px solid var(--bg-surface);
+          border-left: 3px solid var(--accent-primary);
+          border-radius: var(--border-radius);
+          color: var(--text-secondary);
+          font-size: var(--font-sm);
+          padding: var(--space-3);
+          margin-bottom: var(--space-4);
+        }
+
+        button {
+          background: none;
+          border: none;
+          color: var(--accent-primary);
+          font-size: var(--font-sm);
+          font-weight: 500;
+          cursor: pointer;
+          padding: 0;
+        }
+      `}</style>
+    </div>
+  );
+}
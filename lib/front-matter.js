@@ -0,0 +1,97 @@
+/**
+ * YAML front matter for guide READMEs
+ *
+ * Guides may open their README with a block between two --- lines. Only the
+ * part of YAML that front matter needs is understood: `key: value` pairs with
+ * plain or quoted scalars, flow lists ([a, b]), block lists (- item), folded
+ * (>) and literal (|) block scalars, and # comments. Shared by the fetcher
+ * and the guide page through lib/markdown.js, so it is CommonJS.
+ */
+
+const OPEN = /^---\s*$/;
+const CLOSE = /^(---|\.\.\.)\s*$/;
+const PAIR = /^([A-Za-z_][\w-]*)\s*:(?:\s+(.*))?$/;
+const LIST_ITEM = /^\s+-\s+(.*)$/;
+
+function stripComment(value) {
+  // A # only starts a comment at the start or after whitespace, and never inside quotes
+  if (/^["']/.test(value)) return value;
+  return value.replace(/(^|\s)#.*$/, '').trim();
+}
+
+function parseScalar(raw) {
+  const value = stripComment(raw.trim());
+
+  const quoted = value.match(/^(?:"((?:\\.|[^"\\])*)"|'((?:''|[^'])*)')\s*(?:#.*)?$/);
+  if (quoted) {
+    return quoted[1] !== undefined
+      ? quoted[1].replace(/\\(["\\])/g, '$1').replace(/\\n/g, '\n')
+      : quoted[2].replace(/''/g, "'");
+  }
+
+  if (/^\[.*\]$/.test(value)) {
+    const inner = value.slice(1, -1).trim();
+    return inner ? inner.split(/,(?=(?:[^"']|"[^"]*"|'[^']*')*$)/).map(item => parseScalar(item)) : [];
+  }
+
+  if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+  if (/^(null|~)?$/.test(value)) return null;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+
+  return value;
+}
+
+/**
+ * Splits markdown into its front matter and the rest. Returns the parsed
+ * keys, the content after the block and one error per line that could not
+ * be read. Markdown without a complete block comes back whole, with line
+ * endings normalized.
+ */
+function readFrontMatter(markdown) {
+  // READMEs saved on Windows may start with a byte order mark and end lines with \r\n
+  const text = (markdown || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const lines = text.split('\n');
+  if (!OPEN.test(lines[0] || '')) return { data: {}, content: text, errors: [] };
+
+  const end = lines.findIndex((line, index) => index > 0 && CLOSE.test(line));
+  if (end === -1) return { data: {}, content: text, errors: [] };
+
+  const data = {};
+  const errors = [];
+
+  for (let i = 1; i < end; i++) {
+    const line = lines[i];
+    if (line.trim() === '' || line.trim().startsWith('#')) continue;
+
+    const pair = line.match(PAIR);
+    if (!pair) {
+      errors.push(`line ${i + 1}: cannot read "${line.trim()}"`);
+      continue;
+    }
+
+    const [, key, rest = ''] = pair;
+    const value = stripComment(rest);
+
+    if (value === '>' || value === '|' || value === '>-' || value === '|-') {
+      // Block scalar: the indented lines below, folded into one line or kept as they are
+      const block = [];
+      while (i + 1 < end && (lines[i + 1].trim() === '' || /^\s/.test(lines[i + 1]))) {
+        block.push(lines[++i].trim());
+      }
+      data[key] = value.startsWith('>') ? block.filter(Boolean).join(' ') : block.join('\n').trim();
+    } else if (value === '') {
+      // Block list, or an empty value
+      const items = [];
+      while (i + 1 < end && LIST_ITEM.test(lines[i + 1])) {
+        items.push(parseScalar(lines[++i].match(LIST_ITEM)[1]));
+      }
+      data[key] = items.length > 0 ? items : null;
+    } else {
+      data[key] = parseScalar(value);
+    }
+  }
+
+  return { data, content: lines.slice(end + 1).join('\n'), errors };
+}
+
+module.exports = { readFrontMatter };
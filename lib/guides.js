@@ -0,0 +1,12 @@
+// Guides hidden through howtomgr.config.json overrides keep their page but are left out of listings.
+// Listings never show a README, so its rendered copies are left out of their page data as well.
+export function getListedGuides(guides = []) {
+  return guides
+    .filter(guide => !guide.hidden)
+    .map(guide => {
+      const listed = { ...guide };
+      delete listed.readmeHtml;
+      delete listed.readmeAst;
+      return listed;
+    });
+}
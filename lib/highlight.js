@@ -0,0 +1,216 @@
+/**
+ * Build-time syntax highlighting for guide code blocks
+ *
+ * Each language is an ordered list of [pattern, token] rules. The tokenizer
+ * tries them at every position and the first match wins; unmatched text is
+ * passed through escaped. Tokens become <span class="hl-{token}"> elements
+ * coloured by the --hl-* theme variables, so no highlighter ships to the client.
+ */
+
+const STRING_DOUBLE = /"(?:\\.|[^"\\])*"/;
+const STRING_SINGLE = /'(?:\\.|[^'\\])*'/;
+const NUMBER = /\b\d+(?:\.\d+)?\b/;
+const HASH_COMMENT = /(?<=^|\s)#.*/;
+
+const SHELL_KEYWORDS = /\b(?:if|then|else|elif|fi|for|while|until|do|done|case|esac|in|function|return|export|local|readonly|unset|source|exit|set)\b/;
+
+const LANGUAGES = {
+  bash: [
+    [HASH_COMMENT, 'comment'],
+    [STRING_DOUBLE, 'string'],
+    [/'[^']*'/, 'string'],
+    [/\$\{[^}]*\}|\$\(|\$[\w@#?$!*-]/, 'variable'],
+    [SHELL_KEYWORDS, 'keyword'],
+    // The command word: start of a line or after a pipe, list operator or sudo
+    [/(?<=^\s*|[|;&]\s*|\bsudo\s+)[\w./-]+/m, 'function'],
+    [/(?<=\s)--?[\w-]+/, 'attribute'],
+    [NUMBER, 'number'],
+    [/&&|\|\||[|><;]/, 'operator']
+  ],
+
+  powershell: [
+    [/<#[\s\S]*?#>/, 'comment'],
+    [HASH_COMMENT, 'comment'],
+    [STRING_DOUBLE, 'string'],
+    [/'(?:''|[^'])*'/, 'string'],
+    [/\$[\w:]+/, 'variable'],
+    [/\b(?:if|else|elseif|foreach|for|while|do|switch|function|param|return|try|catch|finally|throw|in)\b/i, 'keyword'],
+    [/\b[A-Z][a-z]+-[A-Z]\w*\b/, 'function'],
+    [/(?<=\s)-[A-Za-z]\w*/, 'attribute'],
+    [NUMBER, 'number'],
+    [/\|/, 'operator']
+  ],
+
+  yaml: [
+    [HASH_COMMENT, 'comment'],
+    [/^(?:---|\.\.\.)\s*$/m, 'operator'],
+    [/(?<=^\s*(?:-\s+)?)[\w."'/-]+(?=\s*:(?:\s|$))/m, 'property'],
+    [STRING_DOUBLE, 'string'],
+    [STRING_SINGLE, 'string'],
+    [/[&*][\w-]+/, 'variable'],
+    [/\b(?:true|false|yes|no|on|off|null)\b/, 'keyword'],
+    [NUMBER, 'number'],
+    [/(?<=^\s*)-(?=\s)/m, 'operator']
+  ],
+
+  json: [
+    [/"(?:\\.|[^"\\])*"(?=\s*:)/, 'property'],
+    [STRING_DOUBLE, 'string'],
+    [/\b(?:true|false|null)\b/, 'keyword'],
+    [/-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/, 'number']
+  ],
+
+  nginx: [
+    [HASH_COMMENT, 'comment'],
+    [STRING_DOUBLE, 'string'],
+    [STRING_SINGLE, 'string'],
+    [/\$\w+/, 'variable'],
+    // Directive names open a statement
+    [/(?<=^\s*|[;{}]\s*)[a-z_][\w]*/m, 'keyword'],
+    [/\b\d+[kmgsdhKMG]?\b/, 'number'],
+    [/[{};]/, 'operator']
+  ],
+
+  apache: [
+    [/^\s*#.*/m, 'comment'],
+    [/<\/?[A-Za-z]+[^>]*>/, 'section'],
+    [STRING_DOUBLE, 'string'],
+    [/%\{[^}]+\}|\$\{\w+\}/, 'variable'],
+    [/(?<=^\s*)[A-Za-z]+/m, 'keyword'],
+    [/\b(?:On|Off|All|None)\b/, 'attribute'],
+    [NUMBER, 'number']
+  ],
+
+  ini: [
+    [/^\s*[;#].*/m, 'comment'],
+    [/^\s*\[[^\]\n]+\]/m, 'section'],
+    [/(?<=^\s*)[\w.-]+(?=\s*[=:])/m, 'property'],
+    [STRING_DOUBLE, 'string'],
+    [STRING_SINGLE, 'string'],
+    [/\b(?:true|false|yes|no|on|off)\b/i, 'keyword'],
+    [NUMBER, 'number']
+  ],
+
+  toml: [
+    [HASH_COMMENT, 'comment'],
+    [/^\s*\[\[?[^\]\n]+\]\]?/m, 'section'],
+    [/(?<=^\s*)[\w."-]+(?=\s*=)/m, 'property'],
+    [/"""[\s\S]*?"""|'''[\s\S]*?'''/, 'string'],
+    [STRING_DOUBLE, 'string'],
+    [/'[^'\n]*'/, 'string'],
+    [/\b(?:true|false)\b/, 'keyword'],
+    [/\b\d{4}-\d{2}-\d{2}(?:[T ][\d:.]+(?:Z|[+-]\d{2}:\d{2})?)?\b/, 'number'],
+    [/[+-]?\b\d[\d_]*(?:\.\d+)?\b/, 'number']
+  ],
+
+  sql: [
+    [/--.*/, 'comment'],
+    [/\/\*[\s\S]*?\*\//, 'comment'],
+    [/'(?:''|[^'])*'/, 'string'],
+    [/"(?:""|[^"])*"|`[^`]*`/, 'property'],
+    [/\b(?:SELECT|FROM|WHERE|INSERT|INTO|VALUES|UPDATE|SET|DELETE|CREATE|ALTER|DROP|TABLE|DATABASE|SCHEMA|INDEX|VIEW|USER|ROLE|GRANT|REVOKE|ALL|PRIVILEGES|ON|TO|WITH|PASSWORD|IDENTIFIED|BY|AND|OR|NOT|NULL|IS|AS|JOIN|LEFT|RIGHT|INNER|OUTER|GROUP|ORDER|LIMIT|PRIMARY|KEY|FOREIGN|REFERENCES|DEFAULT|IF|EXISTS|FLUSH|USE|OWNER|ENCODING|CHARACTER|COLLATE)\b/i, 'keyword'],
+    [/\b\w+(?=\()/, 'function'],
+    [NUMBER, 'number'],
+    [/[;=<>*]/, 'operator']
+  ],
+
+  dockerfile: [
+    [/^\s*#.*/m, 'comment'],
+    [/(?<=^\s*)(?:FROM|RUN|CMD|LABEL|MAINTAINER|EXPOSE|ENV|ADD|COPY|ENTRYPOINT|VOLUME|USER|WORKDIR|ARG|ONBUILD|STOPSIGNAL|HEALTHCHECK|SHELL)\b/im, 'keyword'],
+    [/\bAS\b/, 'keyword'],
+    [STRING_DOUBLE, 'string'],
+    [STRING_SINGLE, 'string'],
+    [/\$\{?\w+\}?/, 'variable'],
+    [/(?<=\s)--[\w-]+/, 'attribute'],
+    [NUMBER, 'number'],
+    [/&&|\\$/m, 'operator']
+  ]
+};
+
+const ALIASES = {
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+  console: 'bash',
+  terminal: 'bash',
+  ps1: 'powershell',
+  pwsh: 'powershell',
+  yml: 'yaml',
+  conf: 'ini',
+  cfg: 'ini',
+  properties: 'ini',
+  env: 'ini',
+  apacheconf: 'apache',
+  httpd: 'apache',
+  mysql: 'sql',
+  postgresql: 'sql',
+  psql: 'sql',
+  docker: 'dockerfile'
+};
+
+// Sticky copies of every rule, compiled once per language
+const compiled = {};
+
+function getRules(language) {
+  const key = ALIASES[language] || language;
+  if (!LANGUAGES[key]) return null;
+
+  if (!compiled[key]) {
+    compiled[key] = LANGUAGES[key].map(([pattern, token]) => [
+      new RegExp(pattern.source, pattern.flags.replace('g', '') + 'y'),
+      token
+    ]);
+  }
+
+  return compiled[key];
+}
+
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return text.replace(/[&<>"']/g, m => map[m]);
+}
+
+/**
+ * Returns code as escaped HTML with token spans. Languages without rules are
+ * escaped only.
+ */
+function highlight(code, language) {
+  const rules = getRules((language || '').toLowerCase());
+  if (!rules) return escapeHtml(code);
+
+  let html = '';
+  let plain = '';
+  let position = 0;
+
+  while (position < code.length) {
+    let matched = null;
+
+    for (const [pattern, token] of rules) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(code);
+      if (match && match[0].length > 0) {
+        matched = { text: match[0], token };
+        break;
+      }
+    }
+
+    if (matched) {
+      html += escapeHtml(plain) + `<span class="hl-${matched.token}">${escapeHtml(matched.text)}</span>`;
+      plain = '';
+      position += matched.text.length;
+    } else {
+      plain += code[position];
+      position++;
+    }
+  }
+
+  return html + escapeHtml(plain);
+}
+
+module.exports = { highlight };
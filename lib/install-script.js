@@ -0,0 +1,153 @@
+/**
+ * Install scripts assembled from a guide's shell code blocks
+ *
+ * For one platform, the bash blocks of a guide are joined in reading order.
+ * Only blocks under a heading for that platform (see lib/platforms.js) or in
+ * an installation section are taken; other platforms' sections and sections
+ * about running the tool (services, status, logs, troubleshooting, backups,
+ * maintenance) are left out, and so are commands that would not return. The build
+ * writes one script per platform to /api/v1/{category}/{tool}/install-{os}.sh
+ * and guide pages offer the same script, with the reader's customized
+ * values, as a download. CommonJS, shared by the fetcher and the site.
+ */
+
+const { PLATFORMS, platformsOf, guidePlatforms } = require('./platforms');
+const { fillPlaceholders } = require('./placeholders');
+const { decodeEntities } = require('./sanitize');
+
+const SHELL_LANGUAGES = new Set(['bash', 'sh', 'shell', 'zsh']);
+
+// Sections that set the tool up, whatever the platform
+const INSTALL_SECTIONS = /prerequisit|requirement|install|initial (configuration|setup)|getting started|quick ?start/i;
+
+// Sections about running, checking, fixing or removing an installation rather than making it, by the
+// heading's first words (after any "3." or "Step 3:"), so steps such as "Update package index" or
+// "Configure the service account" stay. A bare verb only counts as the whole heading ("Upgrade").
+const SKIPPED_SECTIONS = /^\W*(?:step\s+)?(?:\d+(?:\.\d+)*[.):]?\s+)?(?:(?:troubleshooting|backups?|backing up|backup and restore|restoring|monitoring|maintenance|updates|updating|upgrades|upgrading|uninstall(?:ing|ation)?|integrations?|examples?|(?:additional |further )?resources|services?|service management|status|logs|logging|health ?checks?|verification|verifying)\b|(?:backup|restore|update|upgrade|uninstall|verify)\s*$)/i;
+
+// Commands that never return (follow modes, pagers, live views) or fail when a service is stopped
+const SKIPPED_COMMANDS = /(?:^|[;&|]\s*)(?:sudo\s+)?(?:journalctl\b|tail\b.*(?:\s-\w*[fF]\b|--follow)|(?:docker(?:-compose|\s+compose)?|podman|kubectl)\s+logs\b.*(?:\s-\w*f\b|--follow)|watch\b|h?top\b|less\b|more\b|(?:systemctl|rc-service|service)\s+(?:\S+\s+)?status\b)/;
+
+// Steps that delete data, remove software or lock the reader out get a prompt first
+const DESTRUCTIVE = /\brm\s+-\w*[rf]|\bdd\s+if=|\b(mkfs|wipefs|fdisk|parted|userdel|groupdel)\b|\bdrop\s+(database|table|user)\b|\b(apt|apt-get|dnf|yum|zypper)\s+(remove|purge|autoremove)\b|\bpacman\s+-R|\bapk\s+del\b|\bchmod\s+-R\s+777\b|--remove-(port|service)\b|\bsystemctl\s+(disable|mask)\b|\bufw\s+(--force\s+)?(reset|delete)\b/i;
+
+const RULE = `# ${'-'.repeat(70)}`;
+
+// Platforms a script can be built for; Windows steps are PowerShell
+function scriptPlatforms(guide) {
+  return guidePlatforms(guide).filter(key => key !== 'windows');
+}
+
+// Shell code blocks for one platform, in reading order
+function scriptBlocks(nodes, platform, blocks = []) {
+  for (const node of nodes) {
+    if (node.type === 'code' && SHELL_LANGUAGES.has(node.language.toLowerCase())) {
+      const headings = node.section.map(({ text }) => ({ text, platforms: platformsOf(text) }));
+      const otherPlatform = headings.some(({ platforms }) => platforms.length > 0 && !platforms.includes(platform));
+      const installStep = headings.some(({ text, platforms }) => platforms.includes(platform) || INSTALL_SECTIONS.test(text));
+
+      if (installStep && !otherPlatform && !headings.some(({ text }) => SKIPPED_SECTIONS.test(text))) {
+        blocks.push(node);
+      }
+    }
+    if (node.children) scriptBlocks(node.children, platform, blocks);
+  }
+  return blocks;
+}
+
+// The block's code with the reader's values filled in
+function codeText(node, values) {
+  if (Object.keys(values).length === 0) return node.code;
+  return decodeEntities(fillPlaceholders(node.highlighted, values).replace(/<[^>]*>/g, ''));
+}
+
+// Comments out commands the script must not run, or returns null when that would break the block
+function withoutSkippedCommands(code) {
+  const lines = code.split('\n');
+  const skipped = lines.map(line => !line.trim().startsWith('#') && SKIPPED_COMMANDS.test(line.trim()));
+  if (!skipped.includes(true)) return code;
+
+  // Part of a continued command or a heredoc: the block only works whole
+  const continued = skipped.some((skip, index) => skip && (lines[index].endsWith('\\') || (lines[index - 1] || '').endsWith('\\')));
+  if (continued || code.includes('<<')) return null;
+
+  return lines
+    .map((line, index) => (skipped[index] ? `${line.match(/^\s*/)[0]}# Not run here (waits or reports status): ${line.trim()}` : line))
+    .join('\n');
+}
+
+function shellQuote(value) {
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Builds the install script for one platform from a guide's block tree, or
+ * returns null when the guide has no shell steps for it. values are the
+ * reader's placeholder values (see lib/placeholders.js).
+ */
+function buildInstallScript(ast, platform, guide, values = {}) {
+  const steps = scriptBlocks(ast.children, platform)
+    .map(node => ({ node, code: withoutSkippedCommands(codeText(node, values).replace(/\s+$/, '')) }))
+    .filter(step => step.code !== null);
+  if (steps.length === 0) return null;
+
+  const label = (PLATFORMS.find(p => p.key === platform) || {}).label || platform;
+  const page = `https://howtomgr.github.io/${guide.category}/${guide.slug}/`;
+
+  const lines = [
+    '#!/usr/bin/env bash',
+    '#',
+    `# ${guide.displayName} installation for ${label}`,
+    `# Assembled from the shell steps of ${page}`,
+    '# Review every step before running it: guides are provided as-is.',
+    '#',
+    'set -euo pipefail',
+    '',
+    '# Asks before steps that delete data or remove software; ASSUME_YES=1 skips the questions',
+    'confirm() {',
+    '  if [ "${ASSUME_YES:-0}" = "1" ]; then',
+    '    return 0',
+    '  fi',
+    '  local answer',
+    '  read -r -p "$1 Continue? [y/N] " answer < /dev/tty',
+    '  case "$answer" in',
+    '    [yY]*) ;;',
+    '    *) echo "Aborted." >&2; exit 1 ;;',
+    '  esac',
+    '}'
+  ];
+
+  let section = null;
+  for (const { node, code } of steps) {
+    const path = node.section.map(({ text }) => text.replace(/[`*_]/g, '')).join(' > ');
+    if (path !== section) {
+      lines.push('', RULE, `# ${path || guide.displayName}`, RULE);
+      section = path;
+    }
+
+    // Prompting per block keeps multi-line commands and heredocs intact
+    const destructive = code.split('\n').map(line => line.trim()).filter(line => DESTRUCTIVE.test(line) && !line.startsWith('#'));
+    lines.push('');
+    if (destructive.length > 0) {
+      const step = destructive[0].length > 80 ? `${destructive[0].slice(0, 77)}...` : destructive[0];
+      const more = destructive.length > 1 ? ` (and ${destructive.length - 1} more)` : '';
+      lines.push(`confirm ${shellQuote(`Next step runs: ${step}${more}.`)}`);
+    }
+    lines.push(code);
+  }
+
+  lines.push('', `echo ${shellQuote(`${guide.displayName} steps for ${label} finished. See ${page} for configuration and hardening.`)}`, '');
+  return lines.join('\n');
+}
+
+// Every script a guide has, keyed by platform
+function installScripts(ast, guide) {
+  const scripts = {};
+  for (const platform of scriptPlatforms(guide)) {
+    const script = buildInstallScript(ast, platform, guide);
+    if (script) scripts[platform] = script;
+  }
+  return scripts;
+}
+
+module.exports = { buildInstallScript, installScripts };
@@ -1,157 +1,1069 @@
 /**
  * Mobile-first markdown processor for HowToMgr guides
+ *
+ * This is the only markdown renderer: scripts/fetch-github-data.js renders
+ * guide READMEs with it at build time and the site imports it at runtime, so
+ * heading ids, the table of contents and the HTML always agree. It is written
+ * as CommonJS so the Node build script can require it without a bundler.
+ *
+ * A README is first parsed into a JSON tree of blocks (headings, paragraphs,
+ * lists, tables, quotes, callouts and code with its section path). Inline
+ * content inside blocks is kept as sanitized HTML. readmeHtml is rendered
+ * from that tree, and guide pages render it with components/GuideContent.
  */
 
-export class MarkdownProcessor {
-  static toHTML(markdown) {
-    if (!markdown) return '';
+const { highlight } = require('./highlight');
+const { readFrontMatter } = require('./front-matter');
+const { platformsOf } = require('./platforms');
+const { markPlaceholders } = require('./placeholders');
+const { sanitizeHtml, isSafeUrl, decodeEntities, escapeAttribute } = require('./sanitize');
 
-    const lines = markdown.split('\n');
-    const result = [];
-    let inCodeBlock = false;
-    let codeLanguage = '';
-    let codeLines = [];
-    let inList = false;
-    let listType = 'ul';
+const TOC_HEADING = /^#+\s+(Table of Contents|Contents|TOC)$/i;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const HEADING = /^(#{1,6}) (.*)$/;
+// The language goes into HTML attributes, so only name characters are taken (c++, c#, objective-c)
+const FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])(\s+)(.*)$/;
+const THEMATIC_BREAK = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const BLOCKQUOTE = /^\s{0,3}>\s?/;
+// Block-level tags that open a raw HTML block, as on GitHub
+const HTML_BLOCK = /^\s{0,3}<\/?(address|article|aside|blockquote|center|details|dialog|div|dl|figure|footer|form|h[1-6]|header|hr|iframe|nav|ol|p|pre|script|section|style|summary|svg|table|template|ul)(?=[\s/>]|$)/i;
+const FOOTNOTE_DEFINITION = /^\s{0,3}\[\^([^\]\s]+)\]:\s?(.*)$/;
+const FOOTNOTE_REFERENCE = /\[\^([^\]\s]+)\]/g;
+const DEFINITION = /^\s{0,3}:\s+(.*)$/;
+const TASK = /^\[([ xX])\]\s+(.*)$/;
 
-    for (let i = 0; i < lines.length; i++) {
-      let line = lines[i];
+// GitHub alert syntax: a blockquote whose first line is [!TYPE]
+const ALERT = /^\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\]\s*$/i;
+const ALERT_TYPES = {
+  note: { title: 'Note', icon: 'ℹ️' },
+  tip: { title: 'Tip', icon: '💡' },
+  important: { title: 'Important', icon: '❗' },
+  warning: { title: 'Warning', icon: '⚠️' },
+  caution: { title: 'Caution', icon: '🛑' }
+};
+
+// Front matter keys a README may set, and the guide field each one becomes
+const FRONT_MATTER_FIELDS = {
+  summary: 'summary',
+  hero_image: 'heroImage',
+  keywords: 'keywords',
+  hidden_sections: 'hiddenSections',
+  last_reviewed: 'lastReviewed'
+};
+
+class MarkdownProcessor {
+  /**
+   * Renders a guide README the way guide pages show it: the first H1 repeats
+   * the META.json title and the README's own table of contents is replaced by
+   * the generated one, so both are left out.
+   *
+   * With a context ({ repositoryUrl, branch, guidePages }) relative links and
+   * images are resolved against the guide's repository, and links to another
+   * guide's repository go to that guide's page. Images without alt text are
+   * returned as warnings.
+   *
+   * Front matter is left out of the output and returned as guide fields;
+   * its hidden_sections are removed from the tree.
+   */
+  static renderGuide(markdown, context = {}) {
+    const { data, errors } = readFrontMatter(markdown);
+    const { frontMatter, warnings } = this.frontMatterFields(data, errors, context);
+
+    const ast = this.parse(markdown, { skipFirstH1: true, skipTableOfContents: true });
+    ast.children = this.groupPlatformSections(this.hideSections(ast.children, frontMatter.hiddenSections));
+    this.resolveInline(ast.children, context, warnings);
+    const placeholders = this.markCodePlaceholders(ast.children, context.placeholders || []);
+    this.markSteps(ast.children);
+
+    return {
+      html: this.renderHtml(ast),
+      ast,
+      tableOfContents: this.tableOfContents(ast),
+      frontMatter,
+      placeholders,
+      warnings
+    };
+  }
 
-      // Handle code blocks
-      if (line.startsWith('```')) {
-        if (inCodeBlock) {
-          // End code block
-          const code = codeLines.join('\n');
-          result.push(this.createCodeBlock(code, codeLanguage));
-          inCodeBlock = false;
-          codeLanguage = '';
-          codeLines = [];
-        } else {
-          // Start code block
-          codeLanguage = line.substring(3).trim() || 'text';
-          inCodeBlock = true;
+  // Marks placeholder values in every code block; returns the placeholders found, without their patterns
+  static markCodePlaceholders(nodes, placeholders) {
+    if (placeholders.length === 0) return [];
+
+    const found = new Set();
+    const visit = (children) => {
+      for (const node of children) {
+        if (node.type === 'code') {
+          const { html, keys } = markPlaceholders(node.highlighted, placeholders);
+          node.highlighted = html;
+          keys.forEach(key => found.add(key));
         }
-        continue;
+        if (node.children) visit(node.children);
       }
+    };
+    visit(nodes);
+
+    return placeholders
+      .filter(placeholder => found.has(placeholder.key))
+      .map(({ key, label, value }) => ({ key, label, value }));
+  }
+
+  // Checks and normalizes recognized front matter keys; anything unusable is a warning
+  static frontMatterFields(data, errors, context) {
+    const warnings = errors.map(error => ({ path: 'README.md', message: `front matter ${error}` }));
+    const warn = (key, message) => warnings.push({ path: 'README.md', message: `front matter "${key}" ${message}` });
+    const list = value => (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean);
+
+    const frontMatter = { summary: null, heroImage: null, keywords: [], hiddenSections: [], lastReviewed: null };
 
-      if (inCodeBlock) {
-        codeLines.push(line);
+    for (const [key, value] of Object.entries(data)) {
+      if (!FRONT_MATTER_FIELDS[key]) {
+        warn(key, 'is not a recognized key');
         continue;
       }
+      if (value === null) continue;
 
-      // Close lists when we hit non-list content
-      if (inList && !line.match(/^\s*[-*\d]/)) {
-        result.push(`</${listType}>`);
-        inList = false;
+      switch (key) {
+        case 'summary':
+          frontMatter.summary = String(value).trim() || null;
+          break;
+        case 'hero_image':
+          if (typeof value !== 'string' || !isSafeUrl(value)) {
+            warn(key, 'must be an http(s) URL or a path in the repository');
+          } else {
+            frontMatter.heroImage = this.resolveUrl(value, 'image', context);
+          }
+          break;
+        case 'keywords':
+        case 'hidden_sections':
+          frontMatter[FRONT_MATTER_FIELDS[key]] = list(value);
+          break;
+        case 'last_reviewed':
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || isNaN(Date.parse(value))) {
+            warn(key, 'must be a date (YYYY-MM-DD)');
+          } else {
+            frontMatter.lastReviewed = String(value);
+          }
+          break;
       }
+    }
+
+    return { frontMatter, warnings };
+  }
+
+  /**
+   * Gathers runs of two or more sibling sections whose headings name
+   * platforms ("Debian/Ubuntu", "launchd (macOS)"...) into a platformTabs
+   * node with one tab per section, so guide pages can show one platform at a
+   * time. A run ends at a heading that names no platform or is higher up.
+   */
+  static groupPlatformSections(nodes) {
+    const result = [];
+    let i = 0;
+
+    while (i < nodes.length) {
+      const node = nodes[i];
+      const level = node.type === 'heading' ? node.level : null;
+      const tabs = [];
+      let j = i;
 
-      // Process different line types
-      const processed = this.processLine(line);
+      while (level && j < nodes.length && nodes[j].type === 'heading' && nodes[j].level === level) {
+        const platforms = platformsOf(nodes[j].text);
+        if (platforms.length === 0) break;
 
-      // Handle list items
-      if (processed.startsWith('<li>')) {
-        if (!inList) {
-          listType = line.match(/^\s*\d+\./) ? 'ol' : 'ul';
-          result.push(`<${listType}>`);
-          inList = true;
+        const children = [nodes[j]];
+        j++;
+        while (j < nodes.length && !(nodes[j].type === 'heading' && nodes[j].level <= level) && nodes[j].type !== 'footnotes') {
+          children.push(nodes[j]);
+          j++;
         }
+
+        tabs.push({ type: 'platformTab', platforms, label: children[0].text.replace(/[`*_]/g, ''), children });
       }
 
-      result.push(processed);
+      if (tabs.length >= 2) {
+        result.push({ type: 'platformTabs', children: tabs });
+        i = j;
+      } else {
+        result.push(node);
+        i++;
+      }
     }
 
-    // Close any open lists
-    if (inList) {
-      result.push(`</${listType}>`);
+    return result;
+  }
+
+  // Drops each top-level section named by heading text or id, down to the next heading at its level or above
+  static hideSections(nodes, hiddenSections) {
+    if (hiddenSections.length === 0) return nodes;
+
+    const hidden = new Set(hiddenSections.map(name => name.toLowerCase()));
+    let hiddenLevel = null;
+
+    return nodes.filter(node => {
+      if (node.type === 'footnotes') return true;
+      if (node.type === 'heading') {
+        if (hiddenLevel !== null && node.level > hiddenLevel) return false;
+        hiddenLevel = hidden.has(node.text.toLowerCase()) || hidden.has(node.id) ? node.level : null;
+      }
+      return hiddenLevel === null;
+    });
+  }
+
+  // Site page of every guide, keyed by lowercase "owner/name" of its repository
+  static guidePages(guides = []) {
+    return Object.fromEntries(guides
+      .filter(guide => guide.githubUrl)
+      .map(guide => [this.repositoryKey(guide.githubUrl), `/${guide.category}/${guide.slug}/`]));
+  }
+
+  static repositoryKey(url) {
+    const match = url.match(/^https?:\/\/[^/]+\/([^/]+)\/([^/#?]+)/);
+    return match ? `${match[1]}/${match[2].replace(/\.git$/, '')}`.toLowerCase() : null;
+  }
+
+  // Sanitizes and resolves every inline HTML fragment in the tree, in place
+  static resolveInline(nodes, context, warnings = []) {
+    this.mapInline(nodes, html => this.resolveUrls(sanitizeHtml(html), context, warnings));
+    return warnings;
+  }
+
+  // Replaces every inline HTML fragment in the tree with fn(fragment), in document order
+  static mapInline(nodes, fn) {
+    for (const node of nodes) {
+      if (typeof node.html === 'string') {
+        node.html = fn(node.html);
+      } else if (node.type === 'table') {
+        node.header = node.header.map(fn);
+        node.rows = node.rows.map(row => row.map(fn));
+      }
+
+      if (node.children) this.mapInline(node.children, fn);
     }
+  }
+
+  static resolveUrls(html, context, warnings) {
+    return html
+      .replace(/<a((?: [\w-]+="[^"]*")*)>/g, (tag, attributes) => {
+        const attrs = this.parseAttributes(attributes);
+        if (attrs.href === undefined) return tag;
+
+        attrs.href = this.resolveUrl(attrs.href, 'link', context);
+
+        // Anchors and other guide pages stay in this tab
+        if (attrs.href.startsWith('#') || attrs.href.startsWith('/')) {
+          delete attrs.target;
+          delete attrs.rel;
+        }
+
+        return `<a${this.formatAttributes(attrs)}>`;
+      })
+      .replace(/<img((?: [\w-]+="[^"]*")*)>/g, (tag, attributes) => {
+        const attrs = this.parseAttributes(attributes);
+        if (attrs.src !== undefined) {
+          attrs.src = this.resolveUrl(attrs.src, 'image', context);
+        }
 
-    return result.join('\n');
+        if (!attrs.alt || !attrs.alt.trim()) {
+          warnings.push({ path: 'README.md', message: `image "${attrs.src || ''}" has no alt text` });
+          attrs.alt = '';
+        }
+        attrs.loading = attrs.loading || 'lazy';
+        attrs.class = attrs.class || 'mobile-image';
+
+        return `<img${this.formatAttributes(attrs)}>`;
+      });
   }
 
-  static processLine(line) {
-    // Empty lines
-    if (line.trim() === '') {
-      return '';
+  /**
+   * Where a README URL points on the site: relative paths become the file on
+   * GitHub (blob for links, raw for images), links to a repository that has a
+   * guide become that guide's page, everything else is left alone.
+   */
+  static resolveUrl(url, kind, context) {
+    const { repositoryUrl, branch, guidePages = {} } = context;
+
+    if (!url || url.startsWith('#')) return url;
+
+    if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url)) {
+      const key = kind === 'link' && this.repositoryKey(url);
+      const rest = key && url.replace(/^https?:\/\/[^/]+\/[^/]+\/[^/#?]+/, '');
+      const page = key && guidePages[key];
+
+      // Only the repository front page or its README, not other files in it
+      if (page && /^(\/?|\/(blob|tree)\/[^/]+\/?(README\.md)?)(#.*)?$/i.test(rest)) {
+        const hash = rest.match(/#.*$/);
+        return page + (hash ? hash[0] : '');
+      }
+      return url;
     }
 
-    // Headers with mobile-friendly IDs
-    if (line.startsWith('### ')) {
-      const text = line.substring(4).trim();
-      const id = this.createId(text);
-      return `<h3 id="${id}" class="mobile-header">${this.processInline(text)}</h3>`;
+    if (!repositoryUrl) return url;
+
+    // Resolved against a stand-in root first, so ../ can never climb out of the branch into another repository
+    try {
+      const { pathname, search, hash } = new URL(url, 'https://repository.invalid/');
+      return `${repositoryUrl.replace(/\/$/, '')}/${kind === 'image' ? 'raw' : 'blob'}/${branch || 'HEAD'}${pathname}${search}${hash}`;
+    } catch (error) {
+      return url;
     }
-    if (line.startsWith('## ')) {
-      const text = line.substring(3).trim();
-      const id = this.createId(text);
-      return `<h2 id="${id}" class="mobile-header">${this.processInline(text)}</h2>`;
+  }
+
+  static parseAttributes(source) {
+    const attrs = {};
+    for (const match of source.matchAll(/ ([\w-]+)="([^"]*)"/g)) {
+      attrs[match[1]] = decodeEntities(match[2]);
     }
-    if (line.startsWith('# ')) {
-      const text = line.substring(2).trim();
-      const id = this.createId(text);
-      return `<h1 id="${id}" class="mobile-header">${this.processInline(text)}</h1>`;
+    return attrs;
+  }
+
+  static formatAttributes(attrs) {
+    return Object.entries(attrs).map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('');
+  }
+
+  static toHTML(markdown, options = {}) {
+    const ast = this.parse(markdown, options);
+    this.resolveInline(ast.children, {});
+    return this.renderHtml(ast);
+  }
+
+  static parse(markdown, options = {}) {
+    markdown = readFrontMatter(markdown).content;
+    if (!markdown) return { type: 'root', children: [] };
+
+    // One slugger per document, so repeated headings get -1, -2... suffixes as on GitHub
+    const slug = this.createSlugger();
+    const lines = this.selectGuideLines(markdown.split('\n'), options, slug);
+    const state = { sections: [], slug, tasks: 0, footnotes: new Map() };
+    const children = this.parseBlocks(lines, state);
+    const footnotes = this.parseFootnotes(children, state);
+
+    return { type: 'root', children: footnotes ? [...children, footnotes] : children };
+  }
+
+  /**
+   * Numbers footnote references in the order they first appear, links them
+   * to their definitions and returns the footnotes block: every referenced
+   * definition, ending with a link back to each of its references.
+   * Definitions nobody references are left out, as on GitHub.
+   */
+  static parseFootnotes(nodes, state) {
+    if (state.footnotes.size === 0) return null;
+
+    const notes = new Map();
+    const link = html => html
+      // Never inside code, where [^...] is usually a regex
+      .split(/(<code[^>]*>[\s\S]*?<\/code>)/)
+      .map((part, index) => (index % 2 === 1 ? part : part.replace(FOOTNOTE_REFERENCE, (match, label) => {
+        const key = label.toLowerCase();
+        if (!state.footnotes.has(key)) return match;
+
+        if (!notes.has(key)) {
+          notes.set(key, { id: `fn-${this.createId(label)}`, number: notes.size + 1, refs: [] });
+        }
+        const note = notes.get(key);
+        const ref = `fnref-${this.createId(label)}${note.refs.length > 0 ? `-${note.refs.length + 1}` : ''}`;
+        note.refs.push(ref);
+
+        return `<sup class="footnote-ref"><a href="#${note.id}" id="${ref}">${note.number}</a></sup>`;
+      })))
+      .join('');
+
+    this.mapInline(nodes, link);
+
+    // Definitions may reference further footnotes, which then join the end of the list
+    const children = [];
+    for (const [key, note] of notes) {
+      const blocks = this.parseBlocks(state.footnotes.get(key), state);
+      this.mapInline(blocks, link);
+
+      const backrefs = note.refs
+        .map((ref, index) => `<a href="#${ref}" class="footnote-backref" aria-label="Back to reference ${note.number}${note.refs.length > 1 ? `-${index + 1}` : ''}">↩</a>`)
+        .join(' ');
+      const last = blocks[blocks.length - 1];
+      if (last && last.type === 'paragraph') {
+        last.html += ` ${backrefs}`;
+      } else {
+        blocks.push({ type: 'paragraph', html: backrefs });
+      }
+
+      children.push({ type: 'footnote', id: note.id, children: blocks });
     }
 
-    // Lists
-    if (line.match(/^\s*[-*]\s+/)) {
-      const content = line.replace(/^\s*[-*]\s+/, '');
-      return `<li class="mobile-list-item">${this.processInline(content)}</li>`;
+    return children.length > 0 ? { type: 'footnotes', children } : null;
+  }
+
+  static renderHtml(ast) {
+    if (ast.children.length === 0) return '';
+
+    // READMEs may carry raw HTML, so nothing leaves the renderer unsanitized
+    return sanitizeHtml(this.renderNodes(ast.children).join('\n'));
+  }
+
+  /**
+   * Drops the first H1 and the README's own Table of Contents links, never
+   * touching code. Dropped headings still take their slug, so the ids of the
+   * headings that stay match GitHub's.
+   */
+  static selectGuideLines(lines, options, slug = this.createSlugger()) {
+    const selected = [];
+    let fence = null;
+    let skipFirstH1 = !!options.skipFirstH1;
+    let skipTOC = false;
+
+    for (const line of lines) {
+      const fenceMatch = line.match(FENCE);
+      if (fence) {
+        if (fenceMatch && this.closesFence(line, fence)) fence = null;
+        selected.push(line);
+        continue;
+      }
+      if (fenceMatch) {
+        fence = fenceMatch[1];
+        skipTOC = false;
+        selected.push(line);
+        continue;
+      }
+
+      // Skip first H1 to avoid duplicate with META.json title
+      if (skipFirstH1 && line.startsWith('# ')) {
+        skipFirstH1 = false;
+        slug(line.slice(2).trim());
+        continue;
+      }
+
+      // Skip the README's own Table of Contents section up to the next header
+      if (options.skipTableOfContents && TOC_HEADING.test(line)) {
+        skipTOC = true;
+        slug(line.replace(/^#+\s+/, '').trim());
+        continue;
+      }
+
+      if (skipTOC) {
+        if (line.startsWith('#')) {
+          skipTOC = false;
+        } else if (line.trim() === '' || line.match(/^\s*([-*]|\d+\.)\s+\[.*\]\(.*\)/)) {
+          continue;
+        }
+      }
+
+      selected.push(line);
+    }
+
+    return selected;
+  }
+
+  // Lines continuing lines[start]: indented ones, blank lines followed by
+  // more of them, and unindented text lazily continuing its paragraph
+  static collectIndented(lines, start) {
+    const body = [];
+    let j = start + 1;
+
+    while (j < lines.length) {
+      const line = lines[j];
+      const previous = j === start + 1 ? lines[start] : lines[j - 1];
+
+      if (line.trim() === '') {
+        const next = lines.slice(j + 1).find(candidate => candidate.trim() !== '');
+        if (!next || !/^\s{2,}/.test(next)) break;
+      } else if (!/^\s{2,}/.test(line)) {
+        if (previous.trim() === '' || this.isBlockStart(line) || DEFINITION.test(line)) break;
+      }
+
+      body.push(line.replace(/^\s{1,4}/, ''));
+      j++;
+    }
+
+    return { body, end: j };
+  }
+
+  /**
+   * Collects the raw HTML block starting at lines[start]: up to the line that
+   * closes its first tag, or to the next blank line when it never closes.
+   * Inside, lines after a blank line that do not start with a tag are
+   * markdown again (<details> bodies), rendered here so the whole block can
+   * be sanitized at once. Returns the HTML and the index after the block.
+   */
+  static parseHtmlBlock(lines, start, state) {
+    const tag = lines[start].match(HTML_BLOCK)[1].toLowerCase();
+    const opens = new RegExp(`<${tag}(?=[\\s/>])`, 'gi');
+    const closes = new RegExp(`</${tag}\\s*>`, 'gi');
+
+    let end = start;
+    let depth = 0;
+    let fence = null;
+    for (; end < lines.length; end++) {
+      const line = lines[end];
+      if (fence) {
+        if (this.closesFence(line, fence)) fence = null;
+        continue;
+      }
+      const opening = end > start && line.match(FENCE);
+      if (opening) {
+        fence = opening[1];
+        continue;
+      }
+
+      depth += (line.match(opens) || []).length - (line.match(closes) || []).length;
+      if (depth <= 0) {
+        end++;
+        break;
+      }
+    }
+
+    // Never closed: like GitHub, the block is its first run of lines
+    if (depth > 0) {
+      end = start;
+      while (end < lines.length && lines[end].trim() !== '') end++;
+    }
+
+    const parts = [];
+    let i = start;
+    while (i < end) {
+      if (lines[i].trim() === '') {
+        i++;
+        continue;
+      }
+
+      let j = i;
+      if (lines[i].trim().startsWith('<')) {
+        while (j < end && lines[j].trim() !== '') j++;
+        parts.push(lines.slice(i, j).join('\n'));
+      } else {
+        // Markdown runs until a blank line followed by a tag, skipping over code
+        let inFence = null;
+        while (j < end) {
+          const fenceMatch = lines[j].match(FENCE);
+          if (inFence) {
+            if (this.closesFence(lines[j], inFence)) inFence = null;
+          } else if (fenceMatch) {
+            inFence = fenceMatch[1];
+          } else if (j > i && lines[j - 1].trim() === '' && lines[j].trim().startsWith('<')) {
+            break;
+          }
+          j++;
+        }
+        parts.push(this.renderNodes(this.parseBlocks(lines.slice(i, j), state)).join('\n'));
+      }
+      i = j;
     }
 
-    if (line.match(/^\s*\d+\.\s+/)) {
-      const content = line.replace(/^\s*\d+\.\s+/, '');
-      return `<li class="mobile-list-item">${this.processInline(content)}</li>`;
+    return { html: parts.join('\n'), end };
+  }
+
+  static closesFence(line, fence) {
+    const match = line.trim().match(/^(`{3,}|~{3,})$/);
+    return !!match && match[1][0] === fence[0] && match[1].length >= fence.length;
+  }
+
+  /**
+   * Parses a run of lines into block nodes. List items, quotes and callouts
+   * parse their own content through here as well. state.sections is the
+   * heading path at the current line, shared with nested blocks so code
+   * blocks inside lists know their section too.
+   */
+  static parseBlocks(lines, state) {
+    const result = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+      if (paragraph.length === 0) return;
+      result.push({ type: 'paragraph', html: this.processInline(paragraph.join('\n')) });
+      paragraph = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      // Blank lines end nothing on their own; the next content line decides
+      if (line.trim() === '') {
+        flushParagraph();
+        continue;
+      }
+
+      // Footnote definitions are collected here and rendered at the end of the guide
+      const footnote = line.match(FOOTNOTE_DEFINITION);
+      if (footnote) {
+        flushParagraph();
+        const { body, end } = this.collectIndented(lines, i);
+        const key = footnote[1].toLowerCase();
+        if (!state.footnotes.has(key)) state.footnotes.set(key, [footnote[2], ...body]);
+        i = end - 1;
+        continue;
+      }
+
+      // Definition lists: term lines, then one or more definitions starting with ": "
+      const definition = line.match(DEFINITION);
+      const previous = result[result.length - 1];
+      if (definition && (paragraph.length > 0 || (previous && previous.type === 'definitionList'))) {
+        let list = previous;
+        if (paragraph.length > 0 || !list || list.type !== 'definitionList') {
+          if (!list || list.type !== 'definitionList') {
+            list = { type: 'definitionList', children: [] };
+            result.push(list);
+          }
+          list.children.push(...paragraph.map(text => ({ type: 'term', html: this.processInline(text) })));
+          paragraph = [];
+        }
+
+        const { body, end } = this.collectIndented(lines, i);
+        list.children.push({ type: 'definition', children: this.parseBlocks([definition[1], ...body], state) });
+        i = end - 1;
+        continue;
+      }
+
+      // Fenced code blocks, also inside list items
+      const fence = line.match(FENCE);
+      if (fence) {
+        flushParagraph();
+        const indent = line.match(/^\s*/)[0].length;
+        const code = [];
+        let j = i + 1;
+        while (j < lines.length && !this.closesFence(lines[j], fence[1])) {
+          code.push(lines[j].replace(new RegExp(`^ {0,${indent}}`), ''));
+          j++;
+        }
+        const language = fence[2] || 'text';
+        result.push({
+          type: 'code',
+          language,
+          code: code.join('\n'),
+          highlighted: highlight(code.join('\n'), language),
+          section: state.sections.map(({ id, text }) => ({ id, text }))
+        });
+        i = j;
+        continue;
+      }
+
+      // Raw HTML blocks stay one node, so tags opened and closed on different lines still pair up
+      if (HTML_BLOCK.test(line)) {
+        flushParagraph();
+        const { html, end } = this.parseHtmlBlock(lines, i, state);
+        result.push({ type: 'html', html });
+        i = end - 1;
+        continue;
+      }
+
+      // Headers with mobile-friendly IDs
+      const heading = line.match(HEADING);
+      if (heading) {
+        flushParagraph();
+        const level = heading[1].length;
+        const text = heading[2].trim();
+        const id = state.slug(text);
+        state.sections = [...state.sections.filter(section => section.level < level), { level, id, text }];
+        result.push({ type: 'heading', level, id, text, html: this.processInline(text) });
+        continue;
+      }
+
+      // --- *** ___ (before lists, which "* * *" would also start)
+      if (THEMATIC_BREAK.test(line)) {
+        flushParagraph();
+        result.push({ type: 'thematicBreak' });
+        continue;
+      }
+
+      // GFM tables: a header row followed by a delimiter row with the same number of cells
+      if (this.isTableStart(lines, i)) {
+        flushParagraph();
+        const rows = [];
+        let j = i + 2;
+        while (j < lines.length && lines[j].trim() !== '' && lines[j].includes('|')) {
+          rows.push(lines[j]);
+          j++;
+        }
+        result.push(this.parseTable(line, lines[i + 1], rows));
+        i = j - 1;
+        continue;
+      }
+
+      if (LIST_ITEM.test(line)) {
+        flushParagraph();
+        const list = this.parseList(lines, i, state);
+        result.push(list.node);
+        i = list.end - 1;
+        continue;
+      }
+
+      // Blockquotes run over consecutive > lines plus lazily continued paragraph text
+      if (BLOCKQUOTE.test(line)) {
+        flushParagraph();
+        const quoted = [];
+        let j = i;
+        while (j < lines.length) {
+          if (BLOCKQUOTE.test(lines[j])) {
+            quoted.push(lines[j].replace(BLOCKQUOTE, ''));
+          } else if (lines[j].trim() !== '' && quoted[quoted.length - 1].trim() !== '' && !this.isBlockStart(lines[j])) {
+            quoted.push(lines[j]);
+          } else {
+            break;
+          }
+          j++;
+        }
+        result.push(this.parseBlockquote(quoted, state));
+        i = j - 1;
+        continue;
+      }
+
+      // Consecutive text lines form one paragraph
+      paragraph.push(line.trim());
     }
 
-    // Blockquotes
-    if (line.startsWith('> ')) {
-      const content = line.substring(2);
-      return `<blockquote class="mobile-blockquote">${this.processInline(content)}</blockquote>`;
+    flushParagraph();
+    return result;
+  }
+
+  static isBlockStart(line) {
+    return FENCE.test(line) || HEADING.test(line) || THEMATIC_BREAK.test(line) || LIST_ITEM.test(line) || BLOCKQUOTE.test(line) || HTML_BLOCK.test(line) || FOOTNOTE_DEFINITION.test(line);
+  }
+
+  /**
+   * Parses the list starting at lines[start]. An item owns every following
+   * line indented past its marker (nested lists, continuation paragraphs,
+   * fenced code) plus unindented text continuing its first paragraph. A
+   * marker of the other kind at the same indentation starts a new list.
+   * Returns the node and the index of the first line after the list.
+   */
+  static parseList(lines, start, state) {
+    const first = lines[start].match(LIST_ITEM);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+      const marker = lines[i].match(LIST_ITEM);
+      if (!marker || marker[1].length !== indent || /\d/.test(marker[2]) !== ordered) break;
+
+      const contentIndent = indent + marker[2].length + marker[3].length;
+      const body = [marker[4]];
+      let fence = null;
+      i++;
+
+      while (i < lines.length) {
+        const line = lines[i];
+        const lead = line.match(/^\s*/)[0].length;
+
+        if (line.trim() !== '' && lead <= indent) {
+          // Lazy continuation of the item's paragraph
+          const previous = body[body.length - 1];
+          if (fence || previous.trim() === '' || this.isBlockStart(line)) break;
+        }
+
+        const dedented = line.slice(Math.min(lead, contentIndent));
+        if (fence) {
+          if (this.closesFence(dedented, fence)) fence = null;
+        } else if (FENCE.test(dedented)) {
+          fence = dedented.match(FENCE)[1];
+        } else if (line.trim() === '' && body[body.length - 1].trim() !== '') {
+          // A blank line between two blocks of the same item makes the list loose
+          const next = lines.slice(i + 1).find(candidate => candidate.trim() !== '');
+          if (next && next.match(/^\s*/)[0].length > indent) loose = true;
+        }
+
+        body.push(dedented);
+        i++;
+      }
+
+      // Trailing blank lines separate items; one before a sibling item makes the list loose
+      while (body.length > 1 && body[body.length - 1].trim() === '') {
+        body.pop();
+        const next = lines[i] && lines[i].match(LIST_ITEM);
+        if (next && next[1].length === indent && /\d/.test(next[2]) === ordered) loose = true;
+      }
+
+      items.push(body);
     }
 
-    // Regular paragraphs
-    return `<p class="mobile-paragraph">${this.processInline(line)}</p>`;
+    // Trailing blank lines inside the last item were consumed; hand them back
+    let end = i;
+    while (end > start + 1 && lines[end - 1].trim() === '') end--;
+
+    const node = {
+      type: 'list',
+      ordered,
+      start: ordered ? parseInt(first[2], 10) : 1,
+      loose,
+      children: items.map(body => {
+        // Task list items start with [ ] or [x]; ids number them through the guide
+        const task = body[0].match(TASK);
+        if (!task) return { type: 'listItem', children: this.parseBlocks(body, state) };
+
+        return {
+          type: 'listItem',
+          task: { id: state.tasks++, checked: task[1] !== ' ' },
+          children: this.parseBlocks([task[2], ...body.slice(1)], state)
+        };
+      })
+    };
+
+    return { node, end };
   }
 
   static processInline(text) {
-    // Inline code (before other processing)
-    text = text.replace(/`([^`]+)`/g, '<code class="mobile-inline-code">$1</code>');
+    // Inline code first, set aside so nothing below rewrites its content
+    const codeSpans = [];
+    text = text.replace(/`([^`]+)`/g, (match, code) => {
+      codeSpans.push(`<code class="mobile-inline-code">${this.escapeHtml(code)}</code>`);
+      return `\u0000${codeSpans.length - 1}\u0000`;
+    });
 
     // Bold and italic
     text = text.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
     text = text.replace(/\*([^*\s][^*]*[^*\s])\*/g, '<em>$1</em>');
 
+    // Images, lazy loaded; alt text is checked when the guide is rendered
+    text = text.replace(/!\[([^\]]*)\]\(\s*([^)\s]+)(?:\s+"([^"]*)")?\s*\)/g, (match, alt, src, title) =>
+      `<img src="${src}" alt="${this.escapeHtml(alt)}"${title ? ` title="${this.escapeHtml(title)}"` : ''} class="mobile-image" loading="lazy">`);
+
     // Links with mobile-friendly attributes
     text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g,
       '<a href="$2" target="_blank" rel="noopener" class="mobile-link">$1</a>');
 
-    return text;
+    return text.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+  }
+
+  static parseBlockquote(lines, state) {
+    const alert = lines[0].trim().match(ALERT);
+    if (!alert) {
+      return { type: 'blockquote', children: this.parseBlocks(lines, state) };
+    }
+
+    const variant = alert[1].toLowerCase();
+    return { type: 'alert', variant, ...ALERT_TYPES[variant], children: this.parseBlocks(lines.slice(1), state) };
+  }
+
+  static isTableStart(lines, index) {
+    const header = lines[index];
+    const delimiter = lines[index + 1];
+    if (!header.includes('|') || !delimiter || !TABLE_DELIMITER.test(delimiter)) return false;
+
+    return this.splitTableRow(header).length === this.splitTableRow(delimiter).length;
   }
 
-  static createCodeBlock(code, language) {
-    const escapedCode = this.escapeHtml(code);
+  // Splits a table row on unescaped pipes; leading and trailing pipes are optional
+  static splitTableRow(line) {
+    const cells = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1').split(/(?<!\\)\|/);
+    return cells.map(cell => cell.trim().replace(/\\\|/g, '|'));
+  }
+
+  static parseTable(headerLine, delimiterLine, rowLines) {
+    const header = this.splitTableRow(headerLine);
+    const align = this.splitTableRow(delimiterLine).map(cell => {
+      if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+      if (cell.endsWith(':')) return 'right';
+      return cell.startsWith(':') ? 'left' : null;
+    });
+
+    return {
+      type: 'table',
+      align,
+      header: header.map(text => this.processInline(text)),
+      // Body rows are cut or padded to the header's width, as GitHub does
+      rows: rowLines.map(line => {
+        const cells = this.splitTableRow(line);
+        return header.map((_, column) => this.processInline(cells[column] || ''));
+      })
+    };
+  }
+
+  /**
+   * Renders block nodes back to HTML. In a tight list (no blank lines
+   * between its blocks) paragraphs stay bare text, as on GitHub.
+   */
+  static renderNodes(nodes, tight = false) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'heading':
+          return `<h${node.level} id="${node.id}" class="mobile-header">${node.html}<a href="#${node.id}" class="header-anchor" aria-label="Copy link to this section">#</a></h${node.level}>`;
+        case 'paragraph':
+          return tight ? node.html : `<p class="mobile-paragraph">${node.html}</p>`;
+        case 'code':
+          return this.createCodeBlock(node);
+        case 'thematicBreak':
+          return '<hr class="mobile-divider">';
+        case 'html':
+          return node.html;
+        case 'table':
+          return this.createTable(node);
+        case 'list':
+          return this.createList(node);
+        case 'blockquote':
+          return `<blockquote class="mobile-blockquote">\n${this.renderNodes(node.children).join('\n')}\n</blockquote>`;
+        case 'definitionList':
+          return `<dl class="mobile-definition-list">\n${this.renderNodes(node.children).join('\n')}\n</dl>`;
+        case 'term':
+          return `<dt>${node.html}</dt>`;
+        case 'definition':
+          return `<dd>${this.renderNodes(node.children, true).join('\n')}</dd>`;
+        case 'platformTabs':
+          // Static HTML has no tabs: every platform's section follows the previous one
+          return node.children.flatMap(tab => this.renderNodes(tab.children)).join('\n');
+        case 'footnotes':
+          return `<section class="footnotes" aria-label="Footnotes">\n<ol>\n${this.renderNodes(node.children).join('\n')}\n</ol>\n</section>`;
+        case 'footnote':
+          return `<li id="${node.id}" class="footnote">${this.renderNodes(node.children).join('\n')}</li>`;
+        case 'alert':
+          return `<div class="mobile-callout mobile-callout-${node.variant}" role="note" aria-label="${node.title}">
+<p class="mobile-callout-title"><span class="mobile-callout-icon" aria-hidden="true">${node.icon}</span>${node.title}</p>
+${this.renderNodes(node.children).join('\n')}
+</div>`;
+        default:
+          return '';
+      }
+    });
+  }
+
+  static createList(node) {
+    const tag = node.ordered ? 'ol' : 'ul';
+    const open = node.start !== 1 ? `<${tag} start="${node.start}">` : `<${tag}>`;
+
+    return [
+      open,
+      ...node.children.map(item => {
+        const content = this.renderNodes(item.children, !node.loose).join('\n');
+        if (!item.task) return `<li class="mobile-list-item">${content}</li>`;
+
+        // Static HTML shows the state from the README; guide pages make these interactive
+        const checked = item.task.checked ? ' checked' : '';
+        return `<li class="mobile-list-item task-list-item"><input type="checkbox" class="task-list-checkbox" disabled${checked}> ${content}</li>`;
+      }),
+      `</${tag}>`
+    ].join('\n');
+  }
+
+  static createTable(node) {
+    const renderCell = (tag, html, column) => {
+      const align = node.align[column] ? ` class="mobile-table-align-${node.align[column]}"` : '';
+      return `<${tag}${align}>${html}</${tag}>`;
+    };
+
+    return `<div class="mobile-table" tabindex="0">
+      <table>
+        <thead><tr>${node.header.map((html, column) => renderCell('th', html, column)).join('')}</tr></thead>
+        <tbody>${node.rows.map(row => `<tr>${row.map((html, column) => renderCell('td', html, column)).join('')}</tr>`).join('')}</tbody>
+      </table>
+    </div>`;
+  }
+
+  static createCodeBlock({ language, highlighted }) {
     const displayLang = language === 'text' ? '' : language;
 
     return `<div class="mobile-code-block" data-language="${language}">
       <div class="mobile-code-header">
         <span class="mobile-code-language">${displayLang}</span>
-        <button class="mobile-copy-button" onclick="copyCode(this)" title="Copy code">
+        <button type="button" class="mobile-copy-button" title="Copy code">
           <span class="copy-icon">📋</span>
           <span class="copy-text">Copy</span>
         </button>
       </div>
       <div class="mobile-code-content">
-        <pre><code class="language-${language}">${escapedCode}</code></pre>
+        <pre><code class="language-${language}">${highlighted}</code></pre>
       </div>
     </div>`;
   }
 
+  /**
+   * GitHub's heading slug: the heading's text (links and tags reduced to
+   * their text) lowercased, punctuation and symbols removed in any script,
+   * and every space turned into a hyphen.
+   */
   static createId(text) {
     return text
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/<[^>]*>/g, '')
       .toLowerCase()
-      .replace(/[^a-z0-9\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .replace(/^-|-$/g, '');
+      .replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, '')
+      .replace(/ /g, '-');
+  }
+
+  // Returns a slug function that suffixes repeats with -1, -2... like github-slugger
+  static createSlugger() {
+    const occurrences = new Map();
+
+    return text => {
+      const base = this.createId(text);
+      let slug = base;
+
+      while (occurrences.has(slug)) {
+        occurrences.set(base, occurrences.get(base) + 1);
+        slug = `${base}-${occurrences.get(base)}`;
+      }
+
+      occurrences.set(slug, 0);
+      return slug;
+    };
+  }
+
+  /**
+   * Gives every code block and numbered list item a step id for progress
+   * tracking: step-{section heading id}-{n}. Counting restarts under each
+   * heading, so editing one section leaves the other sections' ids alone.
+   * Code inside a numbered item belongs to that item's step.
+   */
+  static markSteps(nodes) {
+    const counts = {};
+    let section = 'intro';
+    const next = () => {
+      counts[section] = (counts[section] || 0) + 1;
+      return `step-${section}-${counts[section]}`;
+    };
+
+    const visit = (children, inStep) => {
+      for (const node of children) {
+        if (node.type === 'heading') {
+          section = node.id;
+        } else if (node.type === 'code' && !inStep) {
+          node.step = next();
+        } else if (node.type === 'list' && node.ordered) {
+          for (const item of node.children) {
+            if (!inStep && !item.task) item.step = next();
+            visit(item.children, inStep || !item.task);
+          }
+          continue;
+        }
+
+        if (node.children) visit(node.children, inStep);
+      }
+    };
+    visit(nodes, false);
+  }
+
+  /**
+   * The steps of a tree in reading order. Steps inside platform tabs carry
+   * the tabs' group (the first tab's heading id) and their tab's index, so
+   * only the tab a reader follows needs to count.
+   */
+  static guideSteps(ast) {
+    const steps = [];
+    const visit = (children, group, tab) => {
+      for (const node of children) {
+        if (node.step) steps.push({ id: node.step, group, tab });
+
+        if (node.type === 'platformTabs') {
+          node.children.forEach((platformTab, index) => visit(platformTab.children, node.children[0].children[0].id, index));
+        } else if (node.children) {
+          visit(node.children, group, tab);
+        }
+      }
+    };
+    visit(ast.children, null, null);
+    return steps;
+  }
+
+  // Top-level headings of a parsed guide (platform tabs included), with the ids they were rendered with
+  static tableOfContents(ast) {
+    return ast.children
+      .flatMap(node => (node.type === 'platformTabs' ? node.children.flatMap(tab => tab.children) : [node]))
+      .filter(node => node.type === 'heading')
+      .map(({ level, text, id }) => ({ level, text, id }));
+  }
+
+  static generateTableOfContents(markdown) {
+    return this.tableOfContents(this.parse(markdown, { skipFirstH1: true, skipTableOfContents: true }));
   }
 
   static escapeHtml(text) {
@@ -171,4 +1083,6 @@ export class MarkdownProcessor {
     const minutes = Math.ceil(wordCount / wordsPerMinute);
     return minutes === 1 ? '1 min' : `${minutes} min`;
   }
-}
\ No newline at end of file
+}
+
+module.exports = { MarkdownProcessor };
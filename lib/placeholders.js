@@ -0,0 +1,99 @@
+/**
+ * Values in guide commands that readers can replace with their own
+ *
+ * Guides write commands for example.com, the tool's default port and so on.
+ * At build time those values are wrapped in
+ * <span class="code-placeholder" data-placeholder="{key}"> inside highlighted
+ * code, and guide pages swap in what the reader typed into the customize
+ * panel. CommonJS, shared by the renderer and the site.
+ */
+
+const { escapeAttribute } = require('./sanitize');
+
+const MARKER = /<span class="code-placeholder" data-placeholder="([\w-]+)">([^<]*)<\/span>/g;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * The placeholders a guide's commands may use, each with the value the
+ * guide writes (which pre-fills the panel) and the pattern that finds it.
+ * The port placeholder comes from META.json default_ports.
+ */
+function guidePlaceholders(guide) {
+  const placeholders = [
+    { key: 'hostname', label: 'Hostname', value: 'example.com', pattern: /(?<![\w.-])(?:[\w-]+\.)*example\.com(?![\w-])/g }
+  ];
+
+  // META.json is not always valid, and anything but a port number would end up in the pattern
+  const port = (guide.defaultPorts || [])[0];
+  if (Number.isInteger(port) && port > 0) {
+    // Not the container side of a host:container mapping ("80:80", -p 8080:80)
+    placeholders.push({ key: 'port', label: 'Port', value: String(port), pattern: new RegExp(`(?<![\\w.-]|(?:^|[\\s"'=;-])\\d+:)${port}(?![\\w.])`, 'g') });
+  }
+
+  if (guide.slug) {
+    const dataDir = `/var/lib/${guide.slug}`;
+    placeholders.push({ key: 'dataDir', label: 'Data directory', value: dataDir, pattern: new RegExp(`${escapeRegExp(dataDir)}(?![\\w.-])`, 'g') });
+  }
+
+  placeholders.push({ key: 'dbPassword', label: 'Database password', value: 'secure_password_here', pattern: /\bsecure_password(?:_here)?\b/g });
+
+  return placeholders;
+}
+
+/**
+ * Wraps placeholder values found in highlighted code. Only text between tags
+ * is searched; the text just before it is still seen by the patterns, so a
+ * highlighter span boundary is not mistaken for a word boundary. Returns the
+ * HTML and the keys that were found.
+ */
+function markPlaceholders(html, placeholders) {
+  const found = new Set();
+  let previous = '';
+
+  const marked = html.split(/(<[^>]*>)/).map(part => {
+    if (part.startsWith('<') || part === '') return part;
+
+    const before = previous.slice(-16);
+    previous += part;
+
+    const matches = [];
+    for (const placeholder of placeholders) {
+      placeholder.pattern.lastIndex = 0;
+      for (const match of (before + part).matchAll(placeholder.pattern)) {
+        const start = match.index - before.length;
+        const end = start + match[0].length;
+        // The text before only gives context, and placeholders never overlap
+        if (start < 0 || matches.some(other => start < other.end && end > other.start)) continue;
+        matches.push({ start, end, key: placeholder.key });
+      }
+    }
+    if (matches.length === 0) return part;
+
+    matches.sort((a, b) => a.start - b.start);
+    let result = '';
+    let index = 0;
+    for (const { start, end, key } of matches) {
+      found.add(key);
+      result += `${part.slice(index, start)}<span class="code-placeholder" data-placeholder="${key}">${part.slice(start, end)}</span>`;
+      index = end;
+    }
+    return result + part.slice(index);
+  }).join('');
+
+  return { html: marked, keys: placeholders.map(placeholder => placeholder.key).filter(key => found.has(key)) };
+}
+
+// Puts the reader's values into marked code; placeholders without a value keep the guide's text
+function fillPlaceholders(html, values = {}) {
+  return html.replace(MARKER, (match, key, original) => {
+    const value = values[key];
+    return value
+      ? `<span class="code-placeholder filled" data-placeholder="${key}">${escapeAttribute(value)}</span>`
+      : match;
+  });
+}
+
+module.exports = { guidePlaceholders, markPlaceholders, fillPlaceholders };
@@ -0,0 +1,154 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { PLATFORMS, coversProfile, isPlatform } from './platforms';
+
+/**
+ * The reader's operating systems, shared by every page
+ *
+ * Two settings live here. The platform preference is the one OS a switcher
+ * shows: ?os= in the URL wins and is remembered, otherwise the last choice
+ * from localStorage applies. The platform profile is the set of OSes the
+ * reader works on, chosen from the Layout, which filters listings and guide
+ * sections. Every hook on the page, and in other tabs through the storage
+ * event, follows a change to either.
+ */
+
+export const PLATFORM_STORAGE_KEY = 'howtomgr-os';
+export const PROFILE_STORAGE_KEY = 'howtomgr-platforms';
+const CHANGE_EVENT = 'howtomgr-platform-change';
+
+function store(storageKey, value) {
+  try {
+    if (value === null) localStorage.removeItem(storageKey);
+    else localStorage.setItem(storageKey, value);
+  } catch (error) {
+    // Storage disabled: the choice lasts for this page only
+  }
+}
+
+function load(storageKey) {
+  try {
+    return localStorage.getItem(storageKey);
+  } catch (error) {
+    return null;
+  }
+}
+
+function parsePlatform(value) {
+  return isPlatform(value) ? value : null;
+}
+
+function parseProfile(value) {
+  try {
+    const keys = JSON.parse(value);
+    return Array.isArray(keys) ? keys.filter(isPlatform) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+export function readPlatformPreference() {
+  const fromUrl = new URLSearchParams(window.location.search).get('os');
+  if (isPlatform(fromUrl)) {
+    store(PLATFORM_STORAGE_KEY, fromUrl);
+    return fromUrl;
+  }
+
+  return parsePlatform(load(PLATFORM_STORAGE_KEY));
+}
+
+export function readPlatformProfile() {
+  return parseProfile(load(PROFILE_STORAGE_KEY));
+}
+
+// Holds a setting read after mount and kept in step with changes made elsewhere
+function useSharedSetting(storageKey, initial, read, parse) {
+  const [value, setValue] = useState(initial);
+
+  useEffect(() => {
+    setValue(read());
+
+    const handleChange = (e) => {
+      if (e.detail.key === storageKey) setValue(e.detail.value);
+    };
+    const handleStorage = (e) => {
+      if (e.key === storageKey) setValue(parse(e.newValue));
+    };
+
+    window.addEventListener(CHANGE_EVENT, handleChange);
+    window.addEventListener('storage', handleStorage);
+
+    return () => {
+      window.removeEventListener(CHANGE_EVENT, handleChange);
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, [storageKey, read, parse]);
+
+  return value;
+}
+
+function announce(key, value) {
+  window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { key, value } }));
+}
+
+/**
+ * Returns [platform, setPlatform]. platform is null until mounted, so the
+ * server-rendered page and the first client render agree. With syncUrl a
+ * choice is also written to ?os= so the URL can be shared.
+ */
+export function usePlatformPreference({ syncUrl = false } = {}) {
+  const platform = useSharedSetting(PLATFORM_STORAGE_KEY, null, readPlatformPreference, parsePlatform);
+
+  const setPlatform = useCallback((key) => {
+    store(PLATFORM_STORAGE_KEY, key);
+
+    if (syncUrl) {
+      const url = new URL(window.location.href);
+      url.searchParams.set('os', key);
+      // Keep Next's history state so back/forward still work
+      window.history.replaceState(window.history.state, '', url);
+    }
+
+    announce(PLATFORM_STORAGE_KEY, key);
+  }, [syncUrl]);
+
+  return [platform, setPlatform];
+}
+
+/**
+ * Returns [profile, setProfile]. profile is a list of platform keys in
+ * PLATFORMS order, empty (no filtering) until mounted and when unset.
+ */
+export function usePlatformProfile() {
+  const profile = useSharedSetting(PROFILE_STORAGE_KEY, [], readPlatformProfile, parseProfile);
+
+  const setProfile = useCallback((keys) => {
+    const valid = PLATFORMS.filter(platform => keys.includes(platform.key)).map(platform => platform.key);
+    store(PROFILE_STORAGE_KEY, valid.length > 0 ? JSON.stringify(valid) : null);
+    announce(PROFILE_STORAGE_KEY, valid);
+  }, []);
+
+  return [profile, setProfile];
+}
+
+/**
+ * Splits guides by the platform profile for listing pages. Returns the
+ * guides to list, how many were left out, and showAll() to list them anyway
+ * for this visit.
+ */
+export function useProfileGuides(guides) {
+  const [profile] = usePlatformProfile();
+  const [showingAll, setShowingAll] = useState(false);
+
+  // Memoized so pages can keep the listed guides in effect dependencies
+  const listed = useMemo(
+    () => (showingAll ? guides : guides.filter(guide => coversProfile(guide, profile))),
+    [guides, profile, showingAll]
+  );
+
+  return {
+    profile,
+    guides: listed,
+    hiddenCount: guides.length - listed.length,
+    showAll: () => setShowingAll(true)
+  };
+}
@@ -0,0 +1,51 @@
+/**
+ * Operating systems guides are written for
+ *
+ * Guides give each platform its own section ("Debian/Ubuntu", "OpenRC (Alpine
+ * Linux)"...). Headings are matched against these patterns to find sections
+ * that cover the same step for different platforms, and META.json
+ * supported_os values (os) tell which platforms a guide covers. Keys are what
+ * ?os= and the reader's platform profile hold. CommonJS, shared by the
+ * renderer and the site.
+ */
+
+const PLATFORMS = [
+  {
+    key: 'rhel',
+    label: 'RHEL/Rocky/Alma',
+    pattern: /\b(rhel|centos|rocky|almalinux|alma linux|fedora|red hat)\b/i,
+    os: ['rhel', 'centos', 'rocky', 'almalinux', 'fedora', 'oracle-linux']
+  },
+  { key: 'debian', label: 'Debian/Ubuntu', pattern: /\b(debian|ubuntu)\b/i, os: ['debian', 'ubuntu'] },
+  { key: 'arch', label: 'Arch Linux', pattern: /\barch\b/i, os: ['arch', 'manjaro'] },
+  { key: 'alpine', label: 'Alpine', pattern: /\balpine\b/i, os: ['alpine'] },
+  { key: 'opensuse', label: 'openSUSE/SLES', pattern: /\b(opensuse|suse|sles)\b/i, os: ['opensuse', 'sles', 'suse'] },
+  { key: 'macos', label: 'macOS', pattern: /\b(macos|mac os|os x|osx)\b/i, os: ['macos', 'osx'] },
+  { key: 'freebsd', label: 'FreeBSD', pattern: /\bfreebsd\b/i, os: ['freebsd'] },
+  { key: 'windows', label: 'Windows', pattern: /\bwindows\b/i, os: ['windows'] }
+];
+
+// Keys of every platform a heading names, in PLATFORMS order
+function platformsOf(text) {
+  return PLATFORMS.filter(platform => platform.pattern.test(text)).map(platform => platform.key);
+}
+
+function isPlatform(key) {
+  return PLATFORMS.some(platform => platform.key === key);
+}
+
+// Keys of the platforms a guide's supported_os values belong to
+function guidePlatforms(guide) {
+  const supported = (guide.supportedOS || []).map(os => os.toLowerCase());
+  return PLATFORMS.filter(platform => platform.os.some(os => supported.includes(os))).map(platform => platform.key);
+}
+
+// Whether a guide covers one of the profile's platforms. Guides that name no known platform are never filtered out.
+function coversProfile(guide, profile) {
+  if (!profile || profile.length === 0) return true;
+
+  const platforms = guidePlatforms(guide);
+  return platforms.length === 0 || platforms.some(key => profile.includes(key));
+}
+
+module.exports = { PLATFORMS, platformsOf, isPlatform, guidePlatforms, coversProfile };
@@ -0,0 +1,204 @@
+/**
+ * Allow-list HTML sanitizer for rendered guide content
+ *
+ * READMEs come from many contributors and may contain raw HTML, so every
+ * rendered guide passes through here before it reaches dangerouslySetInnerHTML.
+ * Only the tags and attributes below survive, link and image URLs must use an
+ * allowed scheme (or be relative), and tags are balanced so stray markup cannot
+ * break the page layout.
+ */
+
+const GLOBAL_ATTRIBUTES = ['class', 'id', 'title', 'role', 'lang', 'dir', 'tabindex', 'aria-label', 'aria-hidden', 'aria-describedby'];
+
+const ALLOWED_TAGS = {
+  a: ['href', 'target', 'rel'],
+  img: ['src', 'alt', 'width', 'height', 'loading', 'decoding'],
+  ol: ['start'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan', 'scope'],
+  div: ['data-language'],
+  button: ['type'],
+  input: ['type', 'checked', 'disabled'],
+  abbr: [],
+  b: [],
+  blockquote: [],
+  br: [],
+  code: [],
+  dd: [],
+  del: [],
+  details: ['open'],
+  dl: [],
+  dt: [],
+  em: [],
+  figcaption: [],
+  figure: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  hr: [],
+  i: [],
+  ins: [],
+  kbd: [],
+  li: [],
+  mark: [],
+  p: [],
+  pre: [],
+  s: [],
+  samp: [],
+  section: [],
+  small: [],
+  span: ['data-placeholder'],
+  strong: [],
+  sub: [],
+  summary: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  thead: [],
+  tr: [],
+  ul: []
+};
+
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'input']);
+
+// Dropped together with everything inside them
+const DROP_CONTENT_TAGS = new Set(['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript', 'template', 'textarea', 'select', 'svg', 'math', 'title', 'xmp', 'noembed', 'noframes']);
+
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+const ALLOWED_SCHEMES = new Set(['http', 'https', 'mailto']);
+
+const TAG = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/y;
+const COMMENT = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>/y;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function decodeEntities(value) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', tab: '\t', newline: '\n' };
+
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16) % 0x110000))
+    .replace(/&#(\d+);?/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10) % 0x110000))
+    .replace(/&(amp|lt|gt|quot|apos|colon|tab|newline);/gi, (match, name) => named[name.toLowerCase()]);
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function isSafeUrl(value) {
+  // Browsers ignore control characters and whitespace inside a scheme, so compare without them
+  const normalized = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+
+  return !scheme || ALLOWED_SCHEMES.has(scheme[1].toLowerCase());
+}
+
+function sanitizeAttributes(tag, source) {
+  const allowed = ALLOWED_TAGS[tag];
+  const attributes = [];
+  const seen = new Set();
+  let match;
+
+  ATTRIBUTE.lastIndex = 0;
+  while ((match = ATTRIBUTE.exec(source))) {
+    const name = match[1].toLowerCase();
+    const value = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+
+    if (seen.has(name)) continue;
+    if (!allowed.includes(name) && !GLOBAL_ATTRIBUTES.includes(name)) continue;
+    if (URL_ATTRIBUTES.has(name) && !isSafeUrl(value)) continue;
+    if (name === 'target' && value !== '_blank') continue;
+
+    seen.add(name);
+    attributes.push(` ${name}="${escapeAttribute(value)}"`);
+  }
+
+  // Links opening a new tab must not get a handle on this window
+  if (tag === 'a' && seen.has('target') && !seen.has('rel')) {
+    attributes.push(' rel="noopener"');
+  }
+
+  return attributes.join('');
+}
+
+/**
+ * Returns html with disallowed tags removed (keeping their text), dangerous
+ * elements removed with their content, unsafe attributes and URLs dropped and
+ * every element closed.
+ */
+function sanitizeHtml(html) {
+  if (!html) return '';
+
+  let output = '';
+  const open = [];
+  let position = 0;
+
+  while (position < html.length) {
+    const next = html.indexOf('<', position);
+    if (next === -1) {
+      output += html.slice(position);
+      break;
+    }
+
+    output += html.slice(position, next);
+    position = next;
+
+    COMMENT.lastIndex = position;
+    const comment = COMMENT.exec(html);
+    if (comment) {
+      position += comment[0].length;
+      continue;
+    }
+
+    TAG.lastIndex = position;
+    const tagMatch = TAG.exec(html);
+    if (!tagMatch) {
+      // Not markup: a literal "<" in text
+      output += '&lt;';
+      position++;
+      continue;
+    }
+
+    position += tagMatch[0].length;
+    const closing = tagMatch[1] === '/';
+    const tag = tagMatch[2].toLowerCase();
+
+    if (DROP_CONTENT_TAGS.has(tag)) {
+      if (!closing) {
+        const end = html.toLowerCase().indexOf(`</${tag}`, position);
+        position = end === -1 ? html.length : html.indexOf('>', end) + 1 || html.length;
+      }
+      continue;
+    }
+
+    if (!ALLOWED_TAGS[tag]) continue;
+
+    if (closing) {
+      // Close everything opened inside it; a close tag that was never opened is dropped
+      const index = open.lastIndexOf(tag);
+      if (index === -1) continue;
+      while (open.length > index) {
+        output += `</${open.pop()}>`;
+      }
+      continue;
+    }
+
+    const attributes = sanitizeAttributes(tag, tagMatch[3]);
+
+    // Task list checkboxes are the only form control guides may contain
+    if (tag === 'input' && !attributes.includes(' type="checkbox"')) continue;
+
+    output += `<${tag}${attributes}>`;
+    if (!VOID_TAGS.has(tag)) open.push(tag);
+  }
+
+  while (open.length > 0) {
+    output += `</${open.pop()}>`;
+  }
+
+  return output;
+}
+
+module.exports = { sanitizeHtml, isSafeUrl, decodeEntities, escapeAttribute };
@@ -119,7 +119,8 @@ export function calculateSearchScore(item, query, expandedTerms) {
     item.description,
     item.category,
     item.language,
-    ...(item.topics || [])
+    ...(item.topics || []),
+    ...(item.keywords || [])
   ].filter(Boolean).join(' ').toLowerCase();
 
   // Exact query match (highest score)
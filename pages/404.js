@@ -1,6 +1,7 @@
 import Link from 'next/link';
 import Layout from '../components/Layout';
 import SimpleSearch from '../components/SimpleSearch';
+import { getListedGuides } from '../lib/guides';
 
 export default function Custom404({ guides = [] }) {
   return (
@@ -251,7 +252,7 @@ export async function getStaticProps() {
 
       return {
         props: {
-          guides: guidesData.guides || []
+          guides: getListedGuides(guidesData.guides)
         }
       };
     } catch (fileError) {
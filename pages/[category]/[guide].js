@@ -3,9 +3,25 @@ import Link from 'next/link';
 import Layout from '../../components/Layout';
 import { LoadingSpinner, EmptyState, ErrorMessage } from '../../components/LoadingStates';
 import { getCategoryInfo, getCategoriesFromGuides } from '../../lib/categories';
+import { getListedGuides } from '../../lib/guides';
+import { MarkdownProcessor } from '../../lib/markdown';
+import { guidePlaceholders } from '../../lib/placeholders';
+import { installScripts } from '../../lib/install-script';
+import GuideContent from '../../components/GuideContent';
+import CustomizePanel, { usePlaceholderValues } from '../../components/CustomizePanel';
+import ExportScript from '../../components/ExportScript';
+import GuideProgress, { useGuideProgress } from '../../components/GuideProgress';
+import { profileLabel } from '../../components/PlatformProfile';
+import { coversProfile } from '../../lib/platforms';
+import { usePlatformProfile } from '../../lib/platform-preference';
 
 export default function GuidePage({ guide, category, relatedGuides = [] }) {
   const router = useRouter();
+  const [profile] = usePlatformProfile();
+  const [placeholderValues, setPlaceholderValue, resetPlaceholders] = usePlaceholderValues(
+    guide ? `${guide.category}/${guide.slug}` : ''
+  );
+  const progress = useGuideProgress(guide ? `${guide.category}/${guide.slug}` : '', guide ? guide.steps : []);
 
   if (router.isFallback) {
     return (
@@ -41,7 +57,9 @@ export default function GuidePage({ guide, category, relatedGuides = [] }) {
   return (
     <Layout
       title={`${guide.displayName} Installation Guide`}
-      description={guide.description}
+      description={guide.summary || guide.description}
+      keywords={guide.keywords}
+      image={guide.heroImage}
     >
       {/* Breadcrumb */}
       <nav className="breadcrumb" aria-label="Breadcrumb">
@@ -56,7 +74,11 @@ export default function GuidePage({ guide, category, relatedGuides = [] }) {
       <header className="guide-header">
         <div className="guide-meta-top">
           <h1 className="guide-title">{guide.displayName}</h1>
-          <p className="guide-description">{guide.description}</p>
+          <p className="guide-description">{guide.summary || guide.description}</p>
+
+          {guide.heroImage && (
+            <img src={guide.heroImage} alt="" className="guide-hero" loading="lazy" decoding="async" />
+          )}
 
           <div className="guide-badges">
             <span className="mobile-badge mobile-badge-primary">
@@ -86,6 +108,27 @@ export default function GuidePage({ guide, category, relatedGuides = [] }) {
                 ⭐ {guide.stars}
               </span>
             )}
+            {guide.lastReviewed && (
+              <span className="mobile-badge mobile-badge-secondary" title="Last reviewed by the guide's maintainers">
+                ✔️ Reviewed {new Date(guide.lastReviewed).toLocaleDateString('en-US', { timeZone: 'UTC' })}
+              </span>
+            )}
+            {!coversProfile(guide, profile) && (
+              <span
+                className="mobile-badge badge-platform"
+                title={`This guide doesn't list ${profileLabel(profile)} among its supported systems`}
+              >
+                Not for your platforms
+              </span>
+            )}
+            {guide.stale && (
+              <span
+                className="mobile-badge badge-stale"
+                title={`The latest version could not be fetched; showing the guide as built on ${new Date(guide.lastBuilt).toLocaleDateString('en-US', { timeZone: 'UTC' })}`}
+              >
+                Content may be outdated
+              </span>
+            )}
           </div>
 
           <div className="guide-actions">
@@ -98,12 +141,14 @@ export default function GuidePage({ guide, category, relatedGuides = [] }) {
               View on GitHub
             </a>
           </div>
+
+          <GuideProgress progress={progress} />
         </div>
       </header>
 
       {/* Guide Content */}
       <article className="guide-content">
-        {guide.readmeHtml ? (
+        {guide.readmeAst && guide.readmeAst.children.length > 0 ? (
           <>
             {/* Table of Contents */}
             {guide.tableOfContents && guide.tableOfContents.length > 0 && (
@@ -119,10 +164,21 @@ export default function GuidePage({ guide, category, relatedGuides = [] }) {
               </nav>
             )}
 
+            <CustomizePanel
+              placeholders={guide.placeholders || []}
+              values={placeholderValues}
+              onChange={setPlaceholderValue}
+              onReset={resetPlaceholders}
+            />
+
+            <ExportScript guide={guide} values={placeholderValues} />
+
             {/* README Content */}
-            <div
-              className="readme-content"
-              dangerouslySetInnerHTML={{ __html: guide.readmeHtml }}
+            <GuideContent
+              ast={guide.readmeAst}
+              storageKey={`${guide.category}/${guide.slug}`}
+              placeholderValues={placeholderValues}
+              progress={progress}
             />
           </>
         ) : (
@@ -248,6 +304,15 @@ export default function GuidePage({ guide, category, relatedGuides = [] }) {
           line-height: 1.5;
         }
 
+        .guide-hero {
+          display: block;
+          width: 100%;
+          max-height: 320px;
+          object-fit: cover;
+          border-radius: var(--border-radius);
+          margin-bottom: var(--space-5);
+        }
+
         .guide-badges {
           display: flex;
           gap: var(--space-3);
@@ -276,6 +341,20 @@ export default function GuidePage({ guide, category, relatedGuides = [] }) {
           color: var(--bg-primary);
         }
 
+        .badge-platform {
+          background: transparent;
+          color: var(--accent-warning);
+          border: 1px solid var(--accent-warning);
+          cursor: help;
+        }
+
+        .badge-stale {
+          background: transparent;
+          color: var(--text-muted);
+          border: 1px dashed var(--accent-warning);
+          cursor: help;
+        }
+
         .guide-content {
           background: var(--bg-secondary);
           border-radius: var(--border-radius-lg);
@@ -331,6 +410,13 @@ export default function GuidePage({ guide, category, relatedGuides = [] }) {
           font-size: var(--font-xs);
         }
 
+        .toc-level-4,
+        .toc-level-5,
+        .toc-level-6 {
+          margin-left: var(--space-12);
+          font-size: var(--font-xs);
+        }
+
         @media (max-width: 767px) {
           .guide-header {
             padding: var(--space-4);
@@ -425,6 +511,26 @@ export async function getStaticProps({ params }) {
         return { notFound: true };
       }
 
+      // Render with the same MarkdownProcessor the fetcher uses, so data from an older build never drifts
+      if (guide.readmeRaw) {
+        const rendered = MarkdownProcessor.renderGuide(guide.readmeRaw, {
+          repositoryUrl: guide.githubUrl,
+          branch: guide.defaultBranch,
+          guidePages: MarkdownProcessor.guidePages(guidesData.guides),
+          placeholders: guidePlaceholders(guide)
+        });
+        guide.readmeAst = rendered.ast;
+        guide.tableOfContents = rendered.tableOfContents;
+        guide.placeholders = rendered.placeholders;
+        guide.installScripts = Object.keys(installScripts(rendered.ast, guide));
+        guide.steps = MarkdownProcessor.guideSteps(rendered.ast);
+        Object.assign(guide, rendered.frontMatter);
+      }
+
+      // The page renders from the tree, so the raw and HTML copies would only bloat its data
+      delete guide.readmeRaw;
+      delete guide.readmeHtml;
+
       // Get category info
       const category = getCategoryInfo(categoryKey);
       if (!category) {
@@ -432,7 +538,7 @@ export async function getStaticProps({ params }) {
       }
 
       // Get related guides from same category
-      const relatedGuides = guidesData.guides
+      const relatedGuides = getListedGuides(guidesData.guides)
         .filter(g => g.category === categoryKey && g.slug !== guideSlug)
         .slice(0, 3);
 
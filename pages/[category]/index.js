@@ -4,11 +4,15 @@ import { useRouter } from 'next/router';
 import Layout from '../../components/Layout';
 import SimpleSearch from '../../components/SimpleSearch';
 import { LoadingSpinner, EmptyState } from '../../components/LoadingStates';
+import { ProfileNotice } from '../../components/PlatformProfile';
 import { getCategoryInfo, getCategoriesFromGuides } from '../../lib/categories';
+import { getListedGuides } from '../../lib/guides';
+import { useProfileGuides } from '../../lib/platform-preference';
 
 export default function CategoryPage({ category, guides = [] }) {
   const router = useRouter();
   const [sortBy, setSortBy] = useState('name');
+  const { guides: profileGuides, profile, hiddenCount, showAll } = useProfileGuides(guides);
 
   if (router.isFallback) {
     return (
@@ -33,7 +37,7 @@ export default function CategoryPage({ category, guides = [] }) {
   }
 
   // Sort guides
-  const sortedGuides = [...guides].sort((a, b) => {
+  const sortedGuides = [...profileGuides].sort((a, b) => {
     switch (sortBy) {
       case 'name':
         return a.displayName.localeCompare(b.displayName);
@@ -75,7 +79,7 @@ export default function CategoryPage({ category, guides = [] }) {
       {/* Search within category */}
       <section className="category-search">
         <SimpleSearch
-          guides={guides}
+          guides={profileGuides}
           placeholder={`Search ${category.name.toLowerCase()}...`}
         />
       </section>
@@ -99,6 +103,8 @@ export default function CategoryPage({ category, guides = [] }) {
 
       {/* Guides Grid */}
       <section className="guides-section">
+        <ProfileNotice profile={profile} hiddenCount={hiddenCount} onShowAll={showAll} />
+
         {sortedGuides.length > 0 ? (
           <div className="mobile-grid">
             {sortedGuides.map(guide => (
@@ -295,7 +301,7 @@ export async function getStaticPaths() {
     try {
       const data = await fs.readFile(dataPath, 'utf8');
       const guidesData = JSON.parse(data);
-      const guides = guidesData.guides || [];
+      const guides = getListedGuides(guidesData.guides);
 
       // Get categories dynamically from actual guide data
       const categories = getCategoriesFromGuides(guides);
@@ -335,7 +341,7 @@ export async function getStaticProps({ params }) {
     try {
       const data = await fs.readFile(dataPath, 'utf8');
       const guidesData = JSON.parse(data);
-      const guides = guidesData.guides || [];
+      const guides = getListedGuides(guidesData.guides);
 
       const categoryGuides = guides.filter(guide => guide.category === categoryKey);
 
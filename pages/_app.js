@@ -89,8 +89,36 @@ export default function App({ Component, pageProps }) {
       }
     };
 
+    // Heading "#" links jump to their section as usual and also copy the deep link
+    window.copyHeadingLink = (anchor) => {
+      const url = new URL(anchor.getAttribute('href'), window.location.href).href;
+      if (!navigator.clipboard || !window.isSecureContext) return;
+
+      navigator.clipboard.writeText(url).then(() => {
+        anchor.textContent = '✅';
+        anchor.classList.add('copied');
+
+        setTimeout(() => {
+          anchor.textContent = '#';
+          anchor.classList.remove('copied');
+        }, 2000);
+      }).catch(() => {});
+    };
+
+    // Rendered guide HTML is sanitized and carries no inline handlers, so copy buttons are wired up here
+    const handleCopyClick = (e) => {
+      const button = e.target.closest('.mobile-copy-button');
+      if (button) window.copyCode(button);
+
+      const anchor = e.target.closest('.header-anchor');
+      if (anchor) window.copyHeadingLink(anchor);
+    };
+
+    document.addEventListener('click', handleCopyClick);
+
     return () => {
       mediaQuery.removeEventListener('change', handleSystemThemeChange);
+      document.removeEventListener('click', handleCopyClick);
     };
   }, []);
 
@@ -1,6 +1,7 @@
 import Link from 'next/link';
 import Layout from '../components/Layout';
 import SearchBox from '../components/SearchBox';
+import { getListedGuides } from '../lib/guides';
 
 function Error({ statusCode, hasGetInitialPropsRun, err, guides = [] }) {
   // Determine error type and message
@@ -413,7 +414,7 @@ Error.getInitialProps = async ({ res, err }) => {
 
       return {
         statusCode,
-        guides: guidesData.guides || [],
+        guides: getListedGuides(guidesData.guides),
         hasGetInitialPropsRun: true
       };
     } catch (fileError) {
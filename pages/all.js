@@ -3,7 +3,10 @@ import Link from 'next/link';
 import Layout from '../components/Layout';
 import SimpleSearch from '../components/SimpleSearch';
 import { LoadingSpinner, EmptyState } from '../components/LoadingStates';
+import { ProfileNotice } from '../components/PlatformProfile';
 import { getCategoriesFromGuides, getAllCategories, getCategoryInfo } from '../lib/categories';
+import { getListedGuides } from '../lib/guides';
+import { useProfileGuides } from '../lib/platform-preference';
 
 export default function AllGuidesPage({ guides = [], categories = [], lastUpdated }) {
   const [filteredGuides, setFilteredGuides] = useState(guides);
@@ -12,6 +15,7 @@ export default function AllGuidesPage({ guides = [], categories = [], lastUpdate
   const [sortBy, setSortBy] = useState('name');
   const [currentPage, setCurrentPage] = useState(1);
   const [viewMode, setViewMode] = useState('grid');
+  const { guides: profileGuides, profile, hiddenCount, showAll } = useProfileGuides(guides);
 
   const guidesPerPage = 50;
 
@@ -20,7 +24,7 @@ export default function AllGuidesPage({ guides = [], categories = [], lastUpdate
 
   // Filter and sort guides
   useEffect(() => {
-    let filtered = [...guides];
+    let filtered = [...profileGuides];
 
     // Apply category filter
     if (selectedCategory) {
@@ -50,7 +54,7 @@ export default function AllGuidesPage({ guides = [], categories = [], lastUpdate
 
     setFilteredGuides(filtered);
     setCurrentPage(1); // Reset to first page when filters change
-  }, [guides, selectedCategory, selectedLanguage, sortBy]);
+  }, [profileGuides, selectedCategory, selectedLanguage, sortBy]);
 
   // Pagination
   const totalPages = Math.ceil(filteredGuides.length / guidesPerPage);
@@ -98,7 +102,7 @@ export default function AllGuidesPage({ guides = [], categories = [], lastUpdate
       {/* Search */}
       <section className="search-section">
         <SimpleSearch
-          guides={guides}
+          guides={profileGuides}
           placeholder="Search all installation guides..."
         />
         <div className="search-hint">
@@ -187,6 +191,8 @@ export default function AllGuidesPage({ guides = [], categories = [], lastUpdate
 
       {/* Results */}
       <section className="results-section">
+        <ProfileNotice profile={profile} hiddenCount={hiddenCount} onShowAll={showAll} />
+
         {currentGuides.length > 0 ? (
           <>
             <div className={viewMode === 'grid' ? 'mobile-grid' : 'list-view'}>
@@ -719,7 +725,7 @@ export async function getStaticProps() {
 
       return {
         props: {
-          guides: guidesData.guides || [],
+          guides: getListedGuides(guidesData.guides),
           categories: getAllCategories(),
           lastUpdated: guidesData.metadata?.lastUpdated || null
         }
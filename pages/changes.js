@@ -0,0 +1,284 @@
+import Link from 'next/link';
+import Layout from '../components/Layout';
+import { EmptyState } from '../components/LoadingStates';
+import { getCategoryInfo } from '../lib/categories';
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: 'UTC',
+    timeZoneName: 'short'
+  });
+}
+
+function GuideLink({ guide }) {
+  return (
+    <Link href={`/${guide.category}/${guide.name}/`} className="change-guide">
+      {guide.title}
+    </Link>
+  );
+}
+
+export default function ChangesPage({ entries = [], lastUpdated }) {
+  return (
+    <Layout
+      title="Guide Changes"
+      description="New, removed, recategorized and updated installation guides, build by build."
+      lastUpdated={lastUpdated}
+    >
+      <section className="changes-header">
+        <h1 className="page-title">Guide Changes</h1>
+        <p className="page-description">
+          What changed in the guide collection with each site build.{' '}
+          <a href="/api/v1/changes.json" className="mobile-link">JSON feed</a>
+        </p>
+      </section>
+
+      {entries.length === 0 ? (
+        <EmptyState
+          icon="📝"
+          title="No changes recorded yet"
+          message="Changes appear here after the next build that adds, removes, moves or rewrites a guide."
+        />
+      ) : (
+        <ol className="changes-list">
+          {entries.map((entry, index) => (
+            // Builds can share a date (reproducible builds always do); new entries come first, so count from the oldest
+            <li key={`${entry.date}-${entries.length - index}`} className="change-entry">
+              <div className="change-entry-header">
+                <h2 className="change-date">{formatDate(entry.date)}</h2>
+                <div className="change-summary">
+                  {entry.summary.added > 0 && (
+                    <span className="mobile-badge mobile-badge-secondary">+{entry.summary.added} added</span>
+                  )}
+                  {entry.summary.removed > 0 && (
+                    <span className="mobile-badge badge-removed">−{entry.summary.removed} removed</span>
+                  )}
+                  {entry.summary.recategorized > 0 && (
+                    <span className="mobile-badge mobile-badge-primary">{entry.summary.recategorized} moved</span>
+                  )}
+                  {entry.summary.edited > 0 && (
+                    <span className="mobile-badge mobile-badge-info">{entry.summary.edited} edited</span>
+                  )}
+                </div>
+              </div>
+
+              {entry.added.length > 0 && (
+                <div className="change-group">
+                  <h3>New guides</h3>
+                  <ul>
+                    {entry.added.map(guide => (
+                      <li key={guide.name}>
+                        <GuideLink guide={guide} />
+                        <span className="change-detail">{getCategoryInfo(guide.category).name}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {entry.removed.length > 0 && (
+                <div className="change-group">
+                  <h3>Removed guides</h3>
+                  <ul>
+                    {entry.removed.map(guide => (
+                      <li key={guide.name}>
+                        <span className="change-guide removed">{guide.title}</span>
+                        <span className="change-detail">{getCategoryInfo(guide.category).name}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {entry.recategorized.length > 0 && (
+                <div className="change-group">
+                  <h3>Moved to another category</h3>
+                  <ul>
+                    {entry.recategorized.map(guide => (
+                      <li key={guide.name}>
+                        <GuideLink guide={guide} />
+                        <span className="change-detail">
+                          {getCategoryInfo(guide.from).name} → {getCategoryInfo(guide.to).name}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {entry.edited.length > 0 && (
+                <div className="change-group">
+                  <h3>Substantially edited</h3>
+                  <ul>
+                    {entry.edited.map(guide => (
+                      <li key={guide.name}>
+                        <GuideLink guide={guide} />
+                        <span className="change-detail">
+                          {guide.wordDelta >= 0 ? '+' : '−'}{Math.abs(guide.wordDelta)} words
+                          ({guide.wordCountBefore} → {guide.wordCountAfter})
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <style jsx>{`
+        .changes-header {
+          text-align: center;
+          margin-bottom: var(--space-8);
+        }
+
+        .page-title {
+          color: var(--accent-primary);
+          font-size: var(--font-3xl);
+          margin-bottom: var(--space-3);
+        }
+
+        .page-description {
+          color: var(--text-secondary);
+          font-size: var(--font-lg);
+        }
+
+        .changes-list {
+          list-style: none;
+          padding: 0;
+          max-width: 800px;
+          margin: 0 auto var(--space-8);
+        }
+
+        .change-entry {
+          background: var(--bg-secondary);
+          border: 1px solid var(--bg-surface);
+          border-radius: var(--border-radius-lg);
+          padding: var(--space-6);
+          margin-bottom: var(--space-6);
+        }
+
+        .change-entry-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: var(--space-3);
+          flex-wrap: wrap;
+          margin-bottom: var(--space-4);
+        }
+
+        .change-date {
+          color: var(--text-primary);
+          font-size: var(--font-lg);
+        }
+
+        .change-summary {
+          display: flex;
+          gap: var(--space-2);
+          flex-wrap: wrap;
+        }
+
+        .badge-removed {
+          background: var(--accent-error);
+          color: var(--bg-primary);
+        }
+
+        .change-group {
+          margin-top: var(--space-4);
+        }
+
+        .change-group h3 {
+          color: var(--accent-primary);
+          font-size: var(--font-base);
+          margin-bottom: var(--space-2);
+        }
+
+        .change-group ul {
+          list-style: none;
+          padding-left: 0;
+          margin-bottom: 0;
+        }
+
+        .change-group li {
+          display: flex;
+          justify-content: space-between;
+          gap: var(--space-3);
+          flex-wrap: wrap;
+          padding: var(--space-2) 0;
+          border-bottom: 1px solid var(--bg-surface);
+          font-size: var(--font-sm);
+        }
+
+        .change-group li:last-child {
+          border-bottom: none;
+        }
+
+        .change-group :global(.change-guide) {
+          color: var(--accent-info);
+          font-weight: 500;
+        }
+
+        .change-guide.removed {
+          color: var(--text-muted);
+          text-decoration: line-through;
+        }
+
+        .change-detail {
+          color: var(--text-secondary);
+        }
+
+        @media (max-width: 767px) {
+          .page-title {
+            font-size: var(--font-2xl);
+          }
+
+          .change-entry {
+            padding: var(--space-4);
+          }
+        }
+      `}</style>
+
+    </Layout>
+  );
+}
+
+export async function getStaticProps() {
+  try {
+    const fs = require('fs').promises;
+    const path = require('path');
+    const dataDir = path.join(process.cwd(), 'data');
+
+    try {
+      const changelog = JSON.parse(await fs.readFile(path.join(dataDir, 'changelog.json'), 'utf8'));
+      const guidesData = JSON.parse(await fs.readFile(path.join(dataDir, 'guides.json'), 'utf8'));
+
+      return {
+        props: {
+          entries: changelog.entries || [],
+          lastUpdated: guidesData.metadata?.lastUpdated || null
+        }
+      };
+    } catch (fileError) {
+      return {
+        props: {
+          entries: [],
+          lastUpdated: null
+        }
+      };
+    }
+  } catch (error) {
+    console.error('Error loading changelog data:', error);
+    return {
+      props: {
+        entries: [],
+        lastUpdated: null
+      }
+    };
+  }
+}
@@ -2,6 +2,7 @@ import Link from 'next/link';
 import Layout from '../components/Layout';
 import SimpleSearch from '../components/SimpleSearch';
 import { getCategoriesFromGuides, getAllCategories } from '../lib/categories';
+import { getListedGuides } from '../lib/guides';
 
 export default function HomePage({ guides = [], categories = [], lastUpdated }) {
 
@@ -284,7 +285,7 @@ export async function getStaticProps() {
       const data = await fs.readFile(dataPath, 'utf8');
       const guidesData = JSON.parse(data);
 
-      const guides = guidesData.guides || [];
+      const guides = getListedGuides(guidesData.guides);
       const categories = getCategoriesFromGuides(guides);
 
       return {
@@ -3,7 +3,10 @@ import { useRouter } from 'next/router';
 import Link from 'next/link';
 import Layout from '../components/Layout';
 import { LoadingSpinner, EmptyState } from '../components/LoadingStates';
+import { ProfileNotice } from '../components/PlatformProfile';
 import { getCategoriesFromGuides, getAllCategories, getCategoryInfo } from '../lib/categories';
+import { getListedGuides } from '../lib/guides';
+import { useProfileGuides } from '../lib/platform-preference';
 
 export default function AdvancedSearchPage({ guides = [], categories = [] }) {
   const router = useRouter();
@@ -17,6 +20,7 @@ export default function AdvancedSearchPage({ guides = [], categories = [] }) {
   const [minStars, setMinStars] = useState(0);
   const [sortBy, setSortBy] = useState('relevance');
   const [searchIn, setSearchIn] = useState(['name', 'description', 'topics']);
+  const { guides: profileGuides, profile, hiddenCount, showAll } = useProfileGuides(guides);
 
   // Get unique languages
   const languages = [...new Set(guides.map(guide => guide.language).filter(Boolean))].sort();
@@ -40,13 +44,13 @@ export default function AdvancedSearchPage({ guides = [], categories = [] }) {
     }, 300);
 
     return () => clearTimeout(timer);
-  }, [query, selectedCategories, selectedLanguages, minStars, sortBy, searchIn, guides]);
+  }, [query, selectedCategories, selectedLanguages, minStars, sortBy, searchIn, profileGuides]);
 
   const performAdvancedSearch = () => {
     try {
       const normalizedQuery = query.toLowerCase().trim();
 
-      let filtered = guides.filter(guide => {
+      let filtered = profileGuides.filter(guide => {
         // Category filter
         if (selectedCategories.length > 0 && !selectedCategories.includes(guide.category)) {
           return false;
@@ -71,7 +75,7 @@ export default function AdvancedSearchPage({ guides = [], categories = [] }) {
           searchFields.push(guide.description);
         }
         if (searchIn.includes('topics')) {
-          searchFields.push(...(guide.topics || []), guide.category);
+          searchFields.push(...(guide.topics || []), ...(guide.keywords || []), guide.category);
         }
         if (searchIn.includes('readme')) {
           searchFields.push(guide.readmeRaw || '');
@@ -221,6 +225,8 @@ export default function AdvancedSearchPage({ guides = [], categories = [] }) {
         {/* Search Results - Immediately under search box */}
         {query.length >= 1 && (
           <div className="immediate-results">
+            <ProfileNotice profile={profile} hiddenCount={hiddenCount} onShowAll={showAll} />
+
             {isLoading ? (
               <div className="search-loading">
                 <div className="loading-spinner"></div>
@@ -949,7 +955,7 @@ export async function getStaticProps() {
 
       return {
         props: {
-          guides: guidesData.guides || [],
+          guides: getListedGuides(guidesData.guides),
           categories: getAllCategories()
         }
       };
@@ -0,0 +1,89 @@
+// Edits below both thresholds are treated as typo fixes and left out of the changelog
+const MIN_CHANGED_LINE_RATIO = 0.05;
+const MIN_WORD_DELTA = 50;
+const MAX_ENTRIES = 100;
+
+function countLines(text) {
+  const counts = new Map();
+  text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    counts.set(line, (counts.get(line) || 0) + 1);
+  });
+  return counts;
+}
+
+// Lines added plus lines removed, ignoring order (a cheap stand-in for a real diff)
+function countChangedLines(before, after) {
+  const beforeCounts = countLines(before);
+  const afterCounts = countLines(after);
+  let changed = 0;
+
+  new Set([...beforeCounts.keys(), ...afterCounts.keys()]).forEach(line => {
+    changed += Math.abs((beforeCounts.get(line) || 0) - (afterCounts.get(line) || 0));
+  });
+
+  return changed;
+}
+
+function summarizeGuide(guide) {
+  return {
+    name: guide.name,
+    title: guide.displayName,
+    category: guide.category
+  };
+}
+
+/**
+ * Compares two guide sets and lists added, removed, recategorized and
+ * substantially edited guides
+ */
+function diffGuides(previousGuides, currentGuides) {
+  const previousByName = new Map(previousGuides.map(guide => [guide.name, guide]));
+  const currentByName = new Map(currentGuides.map(guide => [guide.name, guide]));
+
+  const added = currentGuides.filter(guide => !previousByName.has(guide.name)).map(summarizeGuide);
+  const removed = previousGuides.filter(guide => !currentByName.has(guide.name)).map(summarizeGuide);
+  const recategorized = [];
+  const edited = [];
+
+  currentGuides.forEach(guide => {
+    const previous = previousByName.get(guide.name);
+    if (!previous) return;
+
+    if (previous.category !== guide.category) {
+      recategorized.push({ ...summarizeGuide(guide), from: previous.category, to: guide.category });
+    }
+
+    const before = previous.readmeRaw || '';
+    const after = guide.readmeRaw || '';
+    if (before === after) return;
+
+    const linesChanged = countChangedLines(before, after);
+    const totalLines = Math.max(before.split('\n').length, after.split('\n').length);
+    const wordDelta = (guide.wordCount || 0) - (previous.wordCount || 0);
+
+    if (linesChanged / totalLines >= MIN_CHANGED_LINE_RATIO || Math.abs(wordDelta) >= MIN_WORD_DELTA) {
+      edited.push({
+        ...summarizeGuide(guide),
+        wordCountBefore: previous.wordCount || 0,
+        wordCountAfter: guide.wordCount || 0,
+        wordDelta,
+        linesChanged
+      });
+    }
+  });
+
+  return { added, removed, recategorized, edited };
+}
+
+function hasChanges(diff) {
+  return Object.values(diff).some(list => list.length > 0);
+}
+
+// Prepends a build entry to the history, newest first
+function appendEntry(changelog, entry) {
+  return {
+    entries: [entry, ...((changelog && changelog.entries) || [])].slice(0, MAX_ENTRIES)
+  };
+}
+
+module.exports = { diffGuides, hasChanges, appendEntry };
@@ -0,0 +1,89 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { validateSchema } = require('./json-schema');
+
+const CONFIG_SCHEMA = require('../schemas/config.json');
+
+// Used for any key the config file leaves out (and when there is no config file)
+const DEFAULT_CONFIG = {
+  organizations: ['howtomgr'],
+  include: ['*'],
+  exclude: ['howtomgr.github.io', '.claude', '.github', 'community', 'template'],
+  topics: { include: [], exclude: [] },
+  includeArchived: false,
+  includeForks: false,
+  overrides: {}
+};
+
+async function loadConfig(filePath) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { ...DEFAULT_CONFIG };
+    throw error;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${path.basename(filePath)} is not valid JSON: ${error.message}`);
+  }
+
+  const errors = validateSchema(config, CONFIG_SCHEMA);
+  if (errors.length > 0) {
+    const details = errors.map(error => `  ${error.path} ${error.message}`).join('\n');
+    throw new Error(`${path.basename(filePath)} is invalid:\n${details}`);
+  }
+
+  return {
+    ...DEFAULT_CONFIG,
+    ...config,
+    topics: { ...DEFAULT_CONFIG.topics, ...config.topics }
+  };
+}
+
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '[^/]*';
+      if (char === '?') return '[^/]';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Patterns with a slash match "owner/name", all others just the repository name
+function matchesPattern(repo, pattern) {
+  const target = pattern.includes('/') ? `${repo.owner.login}/${repo.name}` : repo.name;
+  return globToRegExp(pattern).test(target);
+}
+
+/**
+ * Returns why a repository is filtered out by the config, or null when it is
+ * included
+ */
+function exclusionReason(config, repo) {
+  const topics = repo.topics || [];
+
+  if (!config.include.some(pattern => matchesPattern(repo, pattern))) return 'not matched by include';
+  if (config.exclude.some(pattern => matchesPattern(repo, pattern))) return 'matched by exclude';
+  if (repo.archived && !config.includeArchived) return 'archived';
+  if (repo.fork && !config.includeForks) return 'fork';
+  if (config.topics.include.length > 0 && !config.topics.include.some(topic => topics.includes(topic))) {
+    return 'missing a required topic';
+  }
+  if (config.topics.exclude.some(topic => topics.includes(topic))) return 'has an excluded topic';
+
+  return null;
+}
+
+function getOverride(config, repo) {
+  return config.overrides[`${repo.owner.login}/${repo.name}`] || config.overrides[repo.name] || {};
+}
+
+module.exports = { DEFAULT_CONFIG, loadConfig, exclusionReason, getOverride };
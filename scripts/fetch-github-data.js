@@ -2,7 +2,16 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const https = require('https');
+const crypto = require('crypto');
+const { createSource } = require('./sources');
+const HttpCache = require('./http-cache');
+const { validateMetadata } = require('./meta-validator');
+const { diffGuides, hasChanges, appendEntry } = require('./changelog');
+const { loadConfig, exclusionReason, getOverride } = require('./config');
+const { MarkdownProcessor } = require('../lib/markdown');
+const { guidePlaceholders } = require('../lib/placeholders');
+const { installScripts } = require('../lib/install-script');
+const { writeIfChanged, writeJSON } = require('./stable-json');
 
 // Import category system (for Node.js)
 const CATEGORIES = {
@@ -35,20 +44,73 @@ const CATEGORIES = {
   }
 };
 
+// Code and schemas that shape guide objects; any change to them invalidates reused guides
+const BUILD_CODE_DIRS = [
+  __dirname,
+  path.join(__dirname, '..', 'lib'),
+  path.join(__dirname, '..', 'schemas')
+];
+
+// Guide fields and the META.json keys they silently default from when missing
+const DEFAULTED_FIELDS = {
+  title: 'displayName',
+  description: 'description',
+  category: 'category',
+  maintenance_status: 'maintenanceStatus',
+  spec_version: 'specVersion',
+  version: 'version',
+  license: 'license'
+};
+
 class GitHubDataFetcher {
-  constructor() {
-    this.orgName = 'howtomgr';
+  constructor(options = {}) {
+    this.configPath = options.configPath || path.join(process.cwd(), 'howtomgr.config.json');
+    this.config = options.config || null;
     this.dataDir = path.join(process.cwd(), 'data');
+    this.cache = options.cache || null;
+    this.full = !!options.full;
+    this.strict = !!options.strict;
+    // Reproducible builds take every timestamp from the sources (or SOURCE_DATE_EPOCH) and sort every key
+    this.sourceDateEpoch = options.sourceDateEpoch || process.env.SOURCE_DATE_EPOCH || null;
+    this.reproducible = !!options.reproducible || !!this.sourceDateEpoch;
+    this.buildTime = null;
+    this.skipped = [];
+    this.source = options.source || null;
+    this.sourceType = options.sourceType || 'github';
+    this.sourceOptions = options.sourceOptions || {};
+    this.previousBuild = null;
+    this.previousGuides = new Map();
+    this.lastGoodGuides = new Map();
   }
 
   async build() {
-    console.log('🚀 Fetching GitHub data for Next.js build...');
-
     try {
+      // The config decides which organizations the source reads, so it is loaded and validated first
+      this.config = this.config || await loadConfig(this.configPath);
+      this.source = this.source || createSource(this.sourceType, {
+        ...this.sourceOptions,
+        orgs: this.config.organizations,
+        cache: this.cache
+      });
+
+      console.log(`🚀 Fetching ${this.source.name} data for Next.js build...`);
+
       await this.ensureDataDirectory();
+      if (this.cache) await this.cache.load();
+      this.buildFingerprint = await this.calculateBuildFingerprint();
+      await this.loadPreviousBuild();
+
       const repositories = await this.fetchAllRepositories();
+      this.buildTime = this.calculateBuildTime(repositories);
       const guides = await this.processRepositories(repositories);
+
+      const report = await this.generateBuildReport(guides);
+      if (this.strict && report.summary.errors > 0) {
+        throw new Error(`${report.summary.errors} META.json error(s) in strict mode, see data/build-report.json`);
+      }
+
       await this.generateDataFiles(guides);
+      if (this.cache) await this.cache.save();
 
       console.log(`✅ Successfully processed ${guides.length} guides!`);
     } catch (error) {
@@ -64,35 +126,23 @@ class GitHubDataFetcher {
   async fetchAllRepositories() {
     console.log('📡 Fetching repositories...');
 
-    let allRepos = [];
-    let page = 1;
-
-    while (true) {
-      const repos = await this.makeGitHubRequest(`/orgs/${this.orgName}/repos?per_page=100&page=${page}&sort=updated`);
+    let allRepos = await this.source.listRepositories();
 
-      if (repos.length === 0) break;
+    // Apply include/exclude patterns, topic filters and the archived/fork settings from the config
+    const seen = new Set();
+    allRepos = allRepos.filter(repo => {
+      if (exclusionReason(this.config, repo)) return false;
 
-      allRepos = allRepos.concat(repos);
-      console.log(`   📄 Page ${page}: ${repos.length} repositories`);
-
-      if (repos.length < 100) break;
-      page++;
-    }
+      // Guide slugs are repository names, so the first organization listed wins a name clash
+      if (seen.has(repo.name)) {
+        console.log(`   ⚠️  ${repo.owner.login}/${repo.name} has the same name as another guide, skipping...`);
+        this.skipped.push({ repository: `${repo.owner.login}/${repo.name}`, reason: 'Duplicate repository name' });
+        return false;
+      }
 
-    // Filter out excluded directories, forks, and archived repos
-    const excludedRepos = [
-      'howtomgr.github.io',
-      '.claude',
-      '.github',
-      'community',
-      'template'
-    ];
-
-    allRepos = allRepos.filter(repo =>
-      !excludedRepos.includes(repo.name) &&
-      !repo.archived &&
-      !repo.fork
-    );
+      seen.add(repo.name);
+      return true;
+    });
 
     console.log(`✅ Found ${allRepos.length} active repositories`);
     return allRepos;
@@ -101,78 +151,348 @@ class GitHubDataFetcher {
   async processRepositories(repositories) {
     console.log('📖 Processing repositories with META.json and README files...');
 
-    const guides = [];
+    const stats = { reused: 0, refetched: 0, stale: 0 };
 
-    for (const repo of repositories) {
-      try {
-        console.log(`   Processing ${repo.name}...`);
+    // Repositories are processed side by side; the source's scheduler bounds the actual request concurrency
+    const results = await Promise.all(repositories.map(repo => this.processRepository(repo, stats)));
+    const guides = results.filter(Boolean);
 
-        // Fetch META.json first
-        const metadata = await this.fetchMetadata(repo.name);
-        if (!metadata) {
-          console.log(`   ⚠️  No META.json for ${repo.name}, skipping...`);
-          continue;
-        }
+    console.log(`✅ Processed ${guides.length} guides (${stats.reused} reused, ${stats.refetched} refetched)`);
+    if (stats.stale > 0) {
+      console.log(`   ⚠️  ${stats.stale} guide(s) failed to fetch and were kept from the previous build`);
+    }
+    if (this.cache && this.cache.hits + this.cache.misses > 0) {
+      console.log(`   🗃️  HTTP cache: ${this.cache.hits} not modified, ${this.cache.misses} downloaded`);
+    }
+    if (this.source.scheduler) {
+      const { requests, retries, rateLimitWaits } = this.source.scheduler.stats;
+      console.log(`   📡 ${requests} API requests, ${retries} retries, ${rateLimitWaits} rate-limit waits`);
+    }
 
-        const readme = await this.fetchReadme(repo.name);
-        if (!readme) {
-          console.log(`   ⚠️  No README for ${repo.name}, using META.json only...`);
-        }
+    this.renderReadmes(guides);
 
-        const guide = {
-          // Basic info
-          name: repo.name,
-          displayName: metadata.title || this.formatDisplayName(repo.name),
-          slug: repo.name,
-          description: metadata.description || repo.description || `Installation guide for ${repo.name}`,
-
-          // META.json data (use exact category from META.json)
-          category: metadata.category || 'miscellaneous',
-          subcategory: metadata.subcategory,
-          difficultyLevel: metadata.difficulty_level,
-          estimatedSetupTime: metadata.estimated_setup_time,
-          supportedOS: metadata.supported_os || [],
-          defaultPorts: metadata.default_ports || [],
-          installationMethods: metadata.installation_methods || [],
-          features: metadata.features || [],
-          tags: metadata.tags || [],
-          maintenanceStatus: metadata.maintenance_status || 'unknown',
-          specVersion: metadata.spec_version || '1.0',
-          version: metadata.version || '1.0.0',
-          license: metadata.license || 'Unknown',
-          websiteUrl: metadata.website_url,
-          documentationUrl: metadata.documentation_url,
-
-          // GitHub data
-          language: repo.language,
-          stars: repo.stargazers_count || 0,
-          forks: repo.forks_count || 0,
-          topics: repo.topics || [],
-          githubUrl: repo.html_url,
-          updatedAt: repo.updated_at,
-          createdAt: repo.created_at,
-
-          // README content (if available)
-          readmeRaw: readme || '',
-          readmeHtml: readme ? this.processMarkdown(readme) : '',
-          readTime: readme ? this.calculateReadTime(readme) : '2 min',
-          wordCount: readme ? readme.split(/\s+/).length : 0,
-          tableOfContents: readme ? this.generateTableOfContents(readme) : [],
-
-          // Build metadata
-          lastBuilt: new Date().toISOString(),
-          metadataVersion: metadata.spec_version || '1.0'
-        };
+    return guides.sort((a, b) => a.displayName.localeCompare(b.displayName, 'en') || a.name.localeCompare(b.name, 'en'));
+  }
+
+  async processRepository(repo, stats) {
+    try {
+      const previous = this.previousGuides.get(repo.name);
+
+      // Repository untouched since the previous build: keep its guide without fetching.
+      // A push does not always bump updated_at, so the push time must match too
+      if (previous && previous.updatedAt === repo.updated_at && previous.pushedAt === (repo.pushed_at || null)) {
+        stats.reused++;
+        return this.refreshRepositoryFields(previous, repo);
+      }
+
+      console.log(`   Processing ${repo.name}...`);
+
+      // Fetch META.json first
+      const metadata = await this.source.fetchMetadata(repo);
+      if (!metadata) {
+        console.log(`   ⚠️  No META.json for ${repo.name}, skipping...`);
+        this.skipped.push({ repository: repo.name, reason: 'No META.json' });
+        return null;
+      }
+
+      const readme = await this.source.fetchReadme(repo);
+      if (!readme) {
+        console.log(`   ⚠️  No README for ${repo.name}, using META.json only...`);
+      }
+
+      // Repository metadata changed but META.json and README did not
+      const contentSha = this.calculateContentSha(metadata, readme);
+      if (previous && previous.contentSha === contentSha) {
+        stats.reused++;
+        return this.refreshRepositoryFields(previous, repo);
+      }
+
+      stats.refetched++;
+      return this.createGuide(repo, metadata, readme, contentSha);
+
+    } catch (error) {
+      // One failed request should not take a published guide off the site
+      const lastGood = this.lastGoodGuides.get(repo.name);
+      if (lastGood) {
+        console.error(`   ❌ Error processing ${repo.name}, keeping the previous build's guide:`, error.message);
+        stats.stale++;
+        return this.markStale(lastGood, error);
+      }
+
+      console.error(`   ❌ Error processing ${repo.name}:`, error.message);
+      this.skipped.push({ repository: repo.name, reason: error.message });
+      return null;
+    }
+  }
+
+  // Rendered once every guide is known, so links between guide repositories can point at their pages
+  renderReadmes(guides) {
+    const guidePages = MarkdownProcessor.guidePages(guides);
+
+    for (const guide of guides) {
+      const rendered = MarkdownProcessor.renderGuide(guide.readmeRaw, {
+        repositoryUrl: guide.githubUrl,
+        branch: guide.defaultBranch,
+        guidePages,
+        placeholders: guidePlaceholders(guide)
+      });
+
+      guide.readmeHtml = rendered.html;
+      guide.readmeAst = rendered.ast;
+      Object.assign(guide, rendered.frontMatter);
+      guide.tableOfContents = rendered.tableOfContents;
+      const validation = guide.validation || { errors: [], warnings: [], defaults: [] };
+      guide.validation = {
+        ...validation,
+        warnings: [
+          ...validation.warnings.filter(warning => warning.path !== 'README.md'),
+          ...rendered.warnings
+        ]
+      };
+    }
+  }
+
+  // Keeps the previous guide as is, including its updatedAt, so the next build fetches it again
+  markStale(guide, error) {
+    return {
+      ...guide,
+      stale: {
+        since: guide.stale ? guide.stale.since : this.buildTime,
+        reason: error.message
+      }
+    };
+  }
+
+  createGuide(repo, metadata, readme, contentSha) {
+    const override = getOverride(this.config, repo);
+    const { specVersion, errors, warnings } = validateMetadata(metadata);
+    const defaults = Object.keys(DEFAULTED_FIELDS).filter(key => !metadata[key]).map(key => DEFAULTED_FIELDS[key]);
+
+    if (errors.length > 0) {
+      console.log(`   ⚠️  META.json for ${repo.name} has ${errors.length} schema error(s)`);
+    }
+
+    return {
+      // Basic info
+      name: repo.name,
+      displayName: metadata.title || this.formatDisplayName(repo.name),
+      slug: repo.name,
+      description: metadata.description || repo.description || `Installation guide for ${repo.name}`,
+
+      // META.json data (use exact category from META.json unless the config forces one)
+      category: override.category || metadata.category || 'miscellaneous',
+      subcategory: metadata.subcategory,
+      difficultyLevel: metadata.difficulty_level,
+      estimatedSetupTime: metadata.estimated_setup_time,
+      supportedOS: metadata.supported_os || [],
+      defaultPorts: metadata.default_ports || [],
+      installationMethods: metadata.installation_methods || [],
+      features: metadata.features || [],
+      tags: metadata.tags || [],
+      maintenanceStatus: metadata.maintenance_status || 'unknown',
+      specVersion,
+      version: metadata.version || '1.0.0',
+      license: metadata.license || 'Unknown',
+      websiteUrl: metadata.website_url,
+      documentationUrl: metadata.documentation_url,
+
+      // GitHub data
+      language: repo.language,
+      stars: repo.stargazers_count || 0,
+      forks: repo.forks_count || 0,
+      topics: repo.topics || [],
+      githubUrl: repo.html_url,
+      defaultBranch: repo.default_branch || null,
+      updatedAt: repo.updated_at,
+      pushedAt: repo.pushed_at || null,
+      createdAt: repo.created_at,
+
+      // README content (if available)
+      readmeRaw: readme || '',
+      readmeHtml: '',
+      readmeAst: null,
+      readTime: readme ? MarkdownProcessor.calculateReadTime(readme) : '2 min',
+      wordCount: readme ? readme.split(/\s+/).length : 0,
+      tableOfContents: [],
+
+      // README front matter, filled in when the README is rendered
+      summary: null,
+      heroImage: null,
+      keywords: [],
+      hiddenSections: [],
+      lastReviewed: null,
+
+      // Build metadata
+      lastBuilt: this.reproducible ? repo.updated_at : this.buildTime,
+      metadataVersion: specVersion,
+      contentSha,
+      validation: { errors, warnings, defaults },
+      hidden: !!override.hidden
+    };
+  }
 
-        guides.push(guide);
+  // Reused guides still pick up live repository stats from the listing
+  refreshRepositoryFields(guide, repo) {
+    // Content that matches the repository again is no longer stale
+    const { stale, ...current } = guide;
+
+    return {
+      ...current,
+      language: repo.language,
+      stars: repo.stargazers_count || 0,
+      forks: repo.forks_count || 0,
+      topics: repo.topics || [],
+      githubUrl: repo.html_url,
+      defaultBranch: repo.default_branch || null,
+      updatedAt: repo.updated_at,
+      pushedAt: repo.pushed_at || null,
+      createdAt: repo.created_at,
+      // A full reproducible build would stamp the current updated_at, so an incremental one must too
+      ...(this.reproducible && { lastBuilt: repo.updated_at })
+    };
+  }
 
-      } catch (error) {
-        console.error(`   ❌ Error processing ${repo.name}:`, error.message);
+  // One timestamp for the whole build: the wall clock, or in reproducible mode
+  // SOURCE_DATE_EPOCH (seconds) and otherwise the newest repository update
+  calculateBuildTime(repositories) {
+    if (!this.reproducible) return new Date().toISOString();
+
+    if (this.sourceDateEpoch) {
+      if (!/^\d+$/.test(String(this.sourceDateEpoch))) {
+        throw new Error(`SOURCE_DATE_EPOCH must be a number of seconds, got "${this.sourceDateEpoch}"`);
       }
+      return new Date(Number(this.sourceDateEpoch) * 1000).toISOString();
     }
 
-    console.log(`✅ Processed ${guides.length} guides`);
-    return guides.sort((a, b) => a.displayName.localeCompare(b.displayName));
+    const latest = repositories.map(repo => repo.updated_at).filter(Boolean).sort().pop();
+    return latest ? new Date(latest).toISOString() : new Date(0).toISOString();
+  }
+
+  async writeJSON(filePath, value) {
+    return writeJSON(filePath, value, { sorted: this.reproducible });
+  }
+
+  // Writes changed install scripts only, and removes those of platforms the guide no longer covers
+  async writeInstallScripts(scriptDir, scripts) {
+    const wanted = new Set(Object.keys(scripts).map(platform => `install-${platform}.sh`));
+    const existing = await fs.readdir(scriptDir).catch(() => []);
+
+    for (const file of existing) {
+      if (/^install-.+\.sh$/.test(file) && !wanted.has(file)) {
+        await fs.rm(path.join(scriptDir, file), { force: true });
+      }
+    }
+
+    if (wanted.size === 0) {
+      // rmdir only succeeds once nothing else is left in the directory
+      if (existing.length > 0) await fs.rmdir(scriptDir).catch(() => {});
+      return;
+    }
+
+    await fs.mkdir(scriptDir, { recursive: true });
+    for (const [platform, script] of Object.entries(scripts)) {
+      await writeIfChanged(path.join(scriptDir, `install-${platform}.sh`), script);
+    }
+  }
+
+  calculateContentSha(metadata, readme) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(metadata))
+      .update('\0')
+      .update(readme || '')
+      .digest('hex');
+  }
+
+  // Fingerprint of the build code and config, so guides built by older code are never reused
+  async calculateBuildFingerprint() {
+    const hash = crypto.createHash('sha256');
+
+    const collect = async (dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await collect(entryPath);
+        } else if (/\.(js|json)$/.test(entry.name)) {
+          hash.update(entry.name).update(await fs.readFile(entryPath));
+        }
+      }
+    };
+
+    for (const dir of BUILD_CODE_DIRS) {
+      await collect(dir);
+    }
+
+    // Overrides are applied while building guides, so a config change invalidates them too
+    hash.update(JSON.stringify(this.config));
+
+    return hash.digest('hex');
+  }
+
+  async loadPreviousBuild() {
+    this.previousGuides = new Map();
+
+    try {
+      this.previousBuild = JSON.parse(await fs.readFile(path.join(this.dataDir, 'guides.json'), 'utf8'));
+    } catch (error) {
+      console.log('   No previous build found, fetching every guide');
+      return;
+    }
+
+    // The previous build always feeds the changelog and the stale fallback, but its guides are only reused when still valid
+    this.lastGoodGuides = new Map(this.previousBuild.guides.map(guide => [guide.name, guide]));
+
+    if (this.full) return;
+    if (this.previousBuild.metadata.buildFingerprint !== this.buildFingerprint) {
+      console.log('   Build code changed since the previous build, refetching every guide');
+      return;
+    }
+
+    this.previousBuild.guides.forEach(guide => this.previousGuides.set(guide.name, guide));
+    console.log(`   Loaded ${this.previousGuides.size} guides from the previous build`);
+  }
+
+  async generateBuildReport(guides) {
+    const collect = key => guides.flatMap(guide =>
+      ((guide.validation || {})[key] || []).map(issue => ({ guide: guide.name, specVersion: guide.specVersion, ...issue }))
+    );
+
+    const errors = collect('errors');
+    const warnings = collect('warnings');
+    const defaults = guides
+      .filter(guide => guide.validation && guide.validation.defaults.length > 0)
+      .map(guide => ({ guide: guide.name, fields: guide.validation.defaults }));
+    const stale = guides
+      .filter(guide => guide.stale)
+      .map(guide => ({ guide: guide.name, lastBuilt: guide.lastBuilt, ...guide.stale }));
+
+    const report = {
+      generatedAt: this.buildTime,
+      strict: this.strict,
+      summary: {
+        guides: guides.length,
+        errors: errors.length,
+        warnings: warnings.length,
+        defaulted: defaults.length,
+        stale: stale.length,
+        skipped: this.skipped.length
+      },
+      errors,
+      warnings,
+      defaults,
+      stale,
+      // Filled in as concurrent requests finish, so sort for a stable report
+      skipped: [...this.skipped].sort((a, b) => a.repository.localeCompare(b.repository, 'en'))
+    };
+
+    await this.writeJSON(path.join(this.dataDir, 'build-report.json'), report);
+
+    const { summary } = report;
+    console.log(`📋 Build report: ${summary.errors} errors, ${summary.warnings} warnings, ${summary.defaulted} guides with defaults, ${summary.stale} stale, ${summary.skipped} skipped`);
+    return report;
   }
 
   async generateDataFiles(guides) {
@@ -184,7 +504,10 @@ class GitHubDataFetcher {
     const discoveredCategories = {};
     const categoryMetadata = {};
 
-    guides.forEach(guide => {
+    // Hidden guides keep their page and tool API file but stay out of every listing
+    const listedGuides = guides.filter(guide => !guide.hidden);
+
+    listedGuides.forEach(guide => {
       if (!discoveredCategories[guide.category]) {
         // Generate category display info from the category name
         const categoryDisplay = this.generateCategoryDisplay(guide.category);
@@ -238,9 +561,13 @@ class GitHubDataFetcher {
 
     const data = {
       metadata: {
-        totalGuides: guides.length,
-        lastUpdated: new Date().toISOString(),
-        buildTrigger: process.env.GITHUB_EVENT_NAME || 'manual',
+        totalGuides: listedGuides.length,
+        lastUpdated: this.buildTime,
+        // Depends on how the build was started, not on its sources
+        ...(!this.reproducible && {
+          buildTrigger: process.env.GITHUB_EVENT_NAME || 'manual'
+        }),
+        buildFingerprint: this.buildFingerprint,
         categories: Object.keys(discoveredCategories).sort(),
         categoriesWithMetadata: discoveredCategories
       },
@@ -248,19 +575,51 @@ class GitHubDataFetcher {
     };
 
     // Generate main data file for Next.js
-    await fs.writeFile(
-      path.join(this.dataDir, 'guides.json'),
-      JSON.stringify(data, null, 2),
-      'utf8'
-    );
+    await this.writeJSON(path.join(this.dataDir, 'guides.json'), data);
 
     // Generate static API files
     await this.generateStaticAPI(guides, discoveredCategories, apiDir);
+    await this.generateChangelog(guides, apiDir);
 
     console.log('✅ Generated data files and static API');
   }
 
+  async generateChangelog(guides, apiDir) {
+    const changelogPath = path.join(this.dataDir, 'changelog.json');
+
+    let changelog = { entries: [] };
+    try {
+      changelog = JSON.parse(await fs.readFile(changelogPath, 'utf8'));
+    } catch (error) {
+      // First build with a changelog
+    }
+
+    // Without a previous build every guide would show up as added, which says nothing
+    if (this.previousBuild) {
+      // Hidden guides are in no listing, so hiding one reads as removed and unhiding as added
+      const listed = guide => !guide.hidden;
+      const diff = diffGuides((this.previousBuild.guides || []).filter(listed), guides.filter(listed));
+
+      if (hasChanges(diff)) {
+        changelog = appendEntry(changelog, {
+          date: this.buildTime,
+          previousBuild: this.previousBuild.metadata.lastUpdated,
+          summary: Object.fromEntries(Object.entries(diff).map(([key, list]) => [key, list.length])),
+          ...diff
+        });
+
+        const { summary } = changelog.entries[0];
+        console.log(`📝 Changelog: ${summary.added} added, ${summary.removed} removed, ${summary.recategorized} recategorized, ${summary.edited} edited`);
+      }
+    }
+
+    await this.writeJSON(changelogPath, changelog);
+    await this.writeJSON(path.join(apiDir, 'changes.json'), changelog);
+  }
+
   async generateStaticAPI(guides, categories, apiDir) {
+    const listedGuides = guides.filter(guide => !guide.hidden);
+
     // 1. Generate main API overview (/api/v1/index.json)
     const apiOverview = {
       api: {
@@ -271,9 +630,9 @@ class GitHubDataFetcher {
         documentation: 'https://howtomgr.github.io/api/docs'
       },
       meta: {
-        total_guides: guides.length,
+        total_guides: listedGuides.length,
         total_categories: Object.keys(categories).length,
-        last_updated: new Date().toISOString()
+        last_updated: this.buildTime
       },
       categories: Object.entries(categories).map(([key, category]) => ({
         name: key,
@@ -284,16 +643,13 @@ class GitHubDataFetcher {
       })),
       endpoints: {
         overview: '/api/v1/index.json',
+        changes: '/api/v1/changes.json',
         categories: Object.keys(categories).map(cat => `/api/v1/${cat}.json`),
-        tools: guides.map(guide => `/api/v1/${guide.category}/${guide.slug}.json`)
+        tools: listedGuides.map(guide => `/api/v1/${guide.category}/${guide.slug}.json`)
       }
     };
 
-    await fs.writeFile(
-      path.join(apiDir, 'index.json'),
-      JSON.stringify(apiOverview, null, 2),
-      'utf8'
-    );
+    await this.writeJSON(path.join(apiDir, 'index.json'), apiOverview);
 
     // 2. Generate category API files (/api/v1/{category}.json)
     for (const [categoryKey, category] of Object.entries(categories)) {
@@ -304,7 +660,9 @@ class GitHubDataFetcher {
           total_guides: category.guides.length
         },
         meta: {
-          generated_at: new Date().toISOString(),
+          generated_at: this.reproducible
+            ? category.guides.map(guide => guide.lastBuilt).sort().pop()
+            : this.buildTime,
           api_version: '1.0'
         },
         guides: category.guides.map(guide => ({
@@ -325,22 +683,22 @@ class GitHubDataFetcher {
         }))
       };
 
-      await fs.writeFile(
-        path.join(apiDir, `${categoryKey}.json`),
-        JSON.stringify(categoryAPI, null, 2),
-        'utf8'
-      );
+      await this.writeJSON(path.join(apiDir, `${categoryKey}.json`), categoryAPI);
     }
 
     // 3. Generate individual tool API files (/api/v1/{category}/{tool}.json)
+    //    and install scripts (/api/v1/{category}/{tool}/install-{os}.sh)
     for (const guide of guides) {
       const categoryDir = path.join(apiDir, guide.category);
       await fs.mkdir(categoryDir, { recursive: true });
 
+      const scripts = guide.readmeAst ? installScripts(guide.readmeAst, guide) : {};
+      await this.writeInstallScripts(path.join(categoryDir, guide.slug), scripts);
+
       const toolAPI = {
         meta: {
           api_version: '1.0',
-          generated_at: new Date().toISOString(),
+          generated_at: this.reproducible ? guide.lastBuilt : this.buildTime,
           spec_version: guide.specVersion || '2.0'
         },
         tool: {
@@ -358,9 +716,16 @@ class GitHubDataFetcher {
           default_ports: guide.defaultPorts || [],
           features: guide.features || [],
           tags: guide.tags || [],
+          keywords: guide.keywords || [],
+          summary: guide.summary || null,
+          hero_image: guide.heroImage || null,
           maintenance_status: guide.maintenanceStatus || 'unknown',
           site: `https://howtomgr.github.io/${guide.category}/${guide.slug}/`,
           api: `https://howtomgr.github.io/api/v1/${guide.category}/${guide.slug}.json`,
+          install_scripts: Object.fromEntries(Object.keys(scripts).map(platform => [
+            platform,
+            `https://howtomgr.github.io/api/v1/${guide.category}/${guide.slug}/install-${platform}.sh`
+          ])),
           documentation_url: guide.documentationUrl,
           website_url: guide.websiteUrl,
           github_url: guide.githubUrl,
@@ -376,251 +741,21 @@ class GitHubDataFetcher {
             word_count: guide.wordCount || 0,
             estimated_read_time: guide.readTime || '2 min',
             has_readme: !!(guide.readmeRaw && guide.readmeRaw.length > 0),
-            last_built: guide.lastBuilt
+            last_built: guide.lastBuilt,
+            last_reviewed: guide.lastReviewed || null,
+            hidden_sections: guide.hiddenSections || [],
+            stale: !!guide.stale,
+            stale_since: guide.stale ? guide.stale.since : null
           }
         }
       };
 
-      await fs.writeFile(
-        path.join(categoryDir, `${guide.slug}.json`),
-        JSON.stringify(toolAPI, null, 2),
-        'utf8'
-      );
+      await this.writeJSON(path.join(categoryDir, `${guide.slug}.json`), toolAPI);
     }
 
     console.log(`Generated static API files for ${guides.length} guides across ${Object.keys(categories).length} categories`);
   }
 
-  processMarkdown(markdown) {
-    if (!markdown) return '';
-
-    const lines = markdown.split('\n');
-    const result = [];
-    let inCodeBlock = false;
-    let codeLanguage = '';
-    let codeLines = [];
-    let skipFirstH1 = true; // Skip first H1 to avoid duplicate title
-    let skipTOC = false; // Skip Table of Contents section
-    let skipDescription = false; // Skip description section if it matches META.json
-    let lineIndex = 0;
-
-    for (const line of lines) {
-      lineIndex++;
-
-      if (line.startsWith('```')) {
-        if (inCodeBlock) {
-          // End code block
-          const code = codeLines.join('\n');
-          result.push(this.createMobileCodeBlock(code, codeLanguage));
-          inCodeBlock = false;
-          codeLanguage = '';
-          codeLines = [];
-          skipTOC = false; // Reset TOC skipping after code block
-        } else {
-          // Start code block
-          codeLanguage = line.substring(3).trim() || 'text';
-          inCodeBlock = true;
-        }
-        continue;
-      }
-
-      if (inCodeBlock) {
-        codeLines.push(line);
-        continue;
-      }
-
-      // Skip first H1 to avoid duplicate with META.json title
-      if (skipFirstH1 && line.startsWith('# ')) {
-        skipFirstH1 = false;
-        continue;
-      }
-
-      // Detect and skip Table of Contents sections
-      if (line.match(/^#+\s+(Table of Contents|Contents|TOC)$/i)) {
-        skipTOC = true;
-        continue;
-      }
-
-      // Skip TOC content until next header
-      if (skipTOC) {
-        if (line.startsWith('#')) {
-          skipTOC = false; // Found next section, stop skipping
-        } else if (line.match(/^\s*[-*]\s+\[.*\]\(.*\)/) || line.match(/^\s*\d+\.\s+\[.*\]\(.*\)/)) {
-          continue; // Skip TOC list items
-        } else if (line.trim() === '') {
-          continue; // Skip empty lines in TOC
-        }
-      }
-
-      // Only process the line if we're not skipping TOC
-      if (!skipTOC) {
-        result.push(this.processMarkdownLine(line));
-      }
-    }
-
-    return result.filter(line => line.trim()).join('\n');
-  }
-
-  createMobileCodeBlock(code, language) {
-    const escapedCode = this.escapeHtml(code);
-    return `<div class="mobile-code-block" data-language="${language}">
-      <div class="mobile-code-header">
-        <span class="mobile-code-language">${language}</span>
-        <button class="mobile-copy-button" onclick="copyCode(this)" title="Copy code">
-          <span class="copy-icon">📋</span>
-          <span class="copy-text">Copy</span>
-        </button>
-      </div>
-      <div class="mobile-code-content">
-        <pre><code class="language-${language}">${escapedCode}</code></pre>
-      </div>
-    </div>`;
-  }
-
-  processMarkdownLine(line) {
-    // Headers with proper anchor links for TOC
-    if (line.startsWith('### ')) {
-      const text = line.substring(4).trim();
-      const id = this.createProperAnchorId(text);
-      return `<h3 id="${id}" class="mobile-header">${text}</h3>`;
-    }
-    if (line.startsWith('## ')) {
-      const text = line.substring(3).trim();
-      const id = this.createProperAnchorId(text);
-      return `<h2 id="${id}" class="mobile-header">${text}</h2>`;
-    }
-    if (line.startsWith('# ')) {
-      const text = line.substring(2).trim();
-      const id = this.createProperAnchorId(text);
-      return `<h1 id="${id}" class="mobile-header">${text}</h1>`;
-    }
-
-    // Lists
-    if (line.match(/^\s*[-*]\s+/)) {
-      const content = line.replace(/^\s*[-*]\s+/, '');
-      return `<li class="mobile-list-item">${this.processInline(content)}</li>`;
-    }
-
-    // Blockquotes
-    if (line.startsWith('> ')) {
-      const content = line.substring(2);
-      return `<blockquote class="mobile-blockquote">${this.processInline(content)}</blockquote>`;
-    }
-
-    // Empty lines
-    if (line.trim() === '') {
-      return '';
-    }
-
-    // Regular paragraphs
-    return `<p class="mobile-paragraph">${this.processInline(line)}</p>`;
-  }
-
-  processInline(text) {
-    // Inline code
-    text = text.replace(/`([^`]+)`/g, '<code class="mobile-inline-code">$1</code>');
-
-    // Bold and italic
-    text = text.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-    text = text.replace(/\*([^*]+)\*/g, '<em>$1</em>');
-
-    // Links
-    text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g,
-      '<a href="$2" target="_blank" rel="noopener" class="mobile-link">$1</a>');
-
-    return text;
-  }
-
-  escapeHtml(text) {
-    const map = {
-      '&': '&amp;',
-      '<': '&lt;',
-      '>': '&gt;',
-      '"': '&quot;',
-      "'": '&#039;'
-    };
-    return text.replace(/[&<>"']/g, m => map[m]);
-  }
-
-  createProperAnchorId(text) {
-    // Create GitHub-style anchor IDs for proper TOC linking
-    return text
-      .toLowerCase()
-      .trim()
-      .replace(/[^\w\s-]/g, '') // Remove special chars except word chars, spaces, hyphens
-      .replace(/\s+/g, '-')     // Replace spaces with hyphens
-      .replace(/-+/g, '-')      // Replace multiple hyphens with single
-      .replace(/^-|-$/g, '');   // Remove leading/trailing hyphens
-  }
-
-  createId(text) {
-    return this.createProperAnchorId(text);
-  }
-
-  generateTableOfContents(markdown) {
-    if (!markdown) return [];
-
-    const lines = markdown.split('\n');
-    const toc = [];
-    let skipFirstH1 = true;
-    let inCodeBlock = false;
-    let skipTOCSection = false;
-
-    for (const line of lines) {
-      // Track code blocks
-      if (line.startsWith('```')) {
-        inCodeBlock = !inCodeBlock;
-        continue;
-      }
-
-      // Skip code blocks
-      if (inCodeBlock) continue;
-
-      // Detect TOC sections to skip
-      if (line.match(/^#+\s+(Table of Contents|Contents|TOC)$/i)) {
-        skipTOCSection = true;
-        continue;
-      }
-
-      // Reset TOC skipping when we hit a new section
-      if (skipTOCSection && line.startsWith('#') && !line.match(/^#+\s+(Table of Contents|Contents|TOC)$/i)) {
-        skipTOCSection = false;
-      }
-
-      // Skip if we're in a TOC section
-      if (skipTOCSection) continue;
-
-      // Extract headers
-      if (line.startsWith('### ')) {
-        const text = line.substring(4).trim();
-        // Skip common TOC-related headers
-        if (text.match(/^(Table of Contents|Contents|TOC)$/i)) continue;
-        const id = this.createProperAnchorId(text);
-        toc.push({ level: 3, text, id });
-      } else if (line.startsWith('## ')) {
-        const text = line.substring(3).trim();
-        // Skip common TOC-related headers
-        if (text.match(/^(Table of Contents|Contents|TOC)$/i)) continue;
-        const id = this.createProperAnchorId(text);
-        toc.push({ level: 2, text, id });
-      } else if (line.startsWith('# ')) {
-        const text = line.substring(2).trim();
-        if (skipFirstH1) {
-          skipFirstH1 = false;
-          continue; // Skip first H1 since it duplicates META.json title
-        }
-        // Skip common TOC-related headers
-        if (text.match(/^(Table of Contents|Contents|TOC)$/i)) continue;
-        const id = this.createProperAnchorId(text);
-        toc.push({ level: 1, text, id });
-      }
-    }
-
-    return toc;
-  }
-
-
-
   generateCategoryDisplay(categoryName) {
     // Generate icon based on category name keywords
     const name = categoryName.toLowerCase();
@@ -670,86 +805,51 @@ class GitHubDataFetcher {
              word.charAt(0).toUpperCase() + word.slice(1)
            ).join(' ');
   }
+}
 
-  calculateReadTime(text) {
-    const wordsPerMinute = 200;
-    const wordCount = text.split(/\s+/).length;
-    const minutes = Math.ceil(wordCount / wordsPerMinute);
-    return minutes === 1 ? '1 min' : `${minutes} min`;
-  }
-
-  async makeGitHubRequest(endpoint) {
-    return new Promise((resolve, reject) => {
-      const options = {
-        hostname: 'api.github.com',
-        path: endpoint,
-        method: 'GET',
-        headers: {
-          'User-Agent': 'HowToMgr-NextJS/3.0',
-          'Accept': 'application/vnd.github.v3+json',
-          ...(process.env.GITHUB_TOKEN && {
-            'Authorization': `token ${process.env.GITHUB_TOKEN}`
-          })
-        }
-      };
-
-      const req = https.request(options, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          try {
-            const json = JSON.parse(data);
-            if (res.statusCode >= 400) {
-              reject(new Error(`GitHub API error: ${res.statusCode} - ${json.message}`));
-            } else {
-              resolve(json);
-            }
-          } catch (err) {
-            reject(new Error(`Failed to parse response: ${err.message}`));
-          }
-        });
-      });
-
-      req.on('error', reject);
-      req.end();
-    });
-  }
-
-  async fetchMetadata(repoName) {
-    try {
-      const metaFile = await this.makeGitHubRequest(`/repos/${this.orgName}/${repoName}/contents/META.json`);
+function parseArgs(argv) {
+  const args = {};
 
-      if (metaFile.content) {
-        const content = Buffer.from(metaFile.content, 'base64').toString('utf-8');
-        return JSON.parse(content);
-      }
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) continue;
 
-      return null;
-    } catch (error) {
-      console.warn(`Could not fetch META.json for ${repoName}: ${error.message}`);
-      return null;
+    if (match[2] !== undefined) {
+      args[match[1]] = match[2];
+    } else if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+      args[match[1]] = argv[++i];
+    } else {
+      args[match[1]] = true;
     }
   }
 
-  async fetchReadme(repoName) {
-    try {
-      const readme = await this.makeGitHubRequest(`/repos/${this.orgName}/${repoName}/readme`);
-
-      if (readme.content) {
-        return Buffer.from(readme.content, 'base64').toString('utf-8');
-      }
-
-      return null;
-    } catch (error) {
-      console.warn(`Could not fetch README for ${repoName}: ${error.message}`);
-      return null;
-    }
-  }
+  return args;
 }
 
 // Run the fetcher
+// Usage: npm run build-data [-- --source=local --dir=../guides] [--config=howtomgr.config.json]
+//                           [--full] [--strict] [--reproducible] [--concurrency=8]
+//        npm run build-data -- --source=github-graphql [--batch-size=20] [--record=<dir> | --replay=<dir>]
 if (require.main === module) {
-  const fetcher = new GitHubDataFetcher();
+  const args = parseArgs(process.argv.slice(2));
+  const full = !!args.full;
+
+  const fetcher = new GitHubDataFetcher({
+    configPath: args.config && path.resolve(args.config),
+    cache: full ? null : new HttpCache(path.join(process.cwd(), '.cache', 'github-api.json')),
+    full,
+    strict: !!args.strict,
+    reproducible: !!args.reproducible,
+    sourceType: args.source || process.env.HOWTOMGR_SOURCE || 'github',
+    sourceOptions: {
+      concurrency: parseInt(args.concurrency, 10) || undefined,
+      batchSize: parseInt(args['batch-size'], 10) || undefined,
+      record: args.record,
+      replay: args.replay,
+      dir: args.dir || process.env.HOWTOMGR_SOURCE_DIR
+    }
+  });
+
   fetcher.build().catch(console.error);
 }
 
@@ -0,0 +1,65 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const CACHE_VERSION = 1;
+
+/**
+ * Persistent response cache keyed by API endpoint. Stores the ETag and
+ * Last-Modified validators with each body so repeat builds can send
+ * conditional requests and reuse the body on 304 Not Modified.
+ */
+class HttpCache {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = {};
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.entries = data.version === CACHE_VERSION ? data.entries : {};
+    } catch (error) {
+      this.entries = {};
+    }
+
+    return this;
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(
+      this.filePath,
+      JSON.stringify({ version: CACHE_VERSION, entries: this.entries }),
+      'utf8'
+    );
+  }
+
+  get(key) {
+    return this.entries[key] || null;
+  }
+
+  // Request headers that let the server answer 304 for an unchanged resource
+  conditionalHeaders(key) {
+    const entry = this.get(key);
+    if (!entry) return {};
+
+    return {
+      ...(entry.etag && { 'If-None-Match': entry.etag }),
+      ...(entry.lastModified && { 'If-Modified-Since': entry.lastModified })
+    };
+  }
+
+  set(key, headers, body) {
+    if (!headers.etag && !headers['last-modified']) return;
+
+    this.entries[key] = {
+      etag: headers.etag,
+      lastModified: headers['last-modified'],
+      body
+    };
+  }
+}
+
+module.exports = HttpCache;
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const { validateSchema } = require('./json-schema');
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas', 'meta');
+
+// META.json specs by version, loaded from schemas/meta/<version>.json
+const SCHEMAS = Object.fromEntries(
+  fs.readdirSync(SCHEMA_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8'))])
+);
+
+const LATEST_VERSION = Object.keys(SCHEMAS).sort((a, b) => parseFloat(b) - parseFloat(a))[0];
+
+/**
+ * Checks a META.json against the schema for its spec_version. Schema
+ * violations are errors; properties the spec does not define are warnings
+ * (usually typos such as "difficulty" for "difficulty_level").
+ */
+function validateMetadata(metadata) {
+  const errors = [];
+  const warnings = [];
+
+  // A bare 2.0 in JSON parses as the number 2; check it as "2.0" but report the type
+  let specVersion = metadata.spec_version || '1.0';
+  if (typeof specVersion === 'number') {
+    specVersion = specVersion.toFixed(1);
+    errors.push({ path: '/spec_version', message: `must be a string ("${specVersion}")` });
+  }
+  specVersion = String(specVersion);
+
+  // Unknown versions are reported once, then checked against the latest spec
+  let checkedVersion = specVersion;
+  if (!SCHEMAS[specVersion]) {
+    errors.push({ path: '/spec_version', message: `unsupported spec_version "${specVersion}" (known: ${Object.keys(SCHEMAS).join(', ')})` });
+    checkedVersion = LATEST_VERSION;
+  }
+
+  const schema = SCHEMAS[checkedVersion];
+  errors.push(...validateSchema({ ...metadata, spec_version: checkedVersion }, schema));
+
+  Object.keys(metadata).forEach(key => {
+    if (!schema.properties[key]) {
+      warnings.push({ path: `/${key}`, message: `is not part of META.json spec ${checkedVersion}` });
+    }
+  });
+
+  return { specVersion, errors, warnings };
+}
+
+module.exports = { SCHEMAS, LATEST_VERSION, validateMetadata };
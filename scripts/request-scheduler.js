@@ -0,0 +1,122 @@
+/**
+ * Bounded-concurrency request queue with retries, exponential backoff and
+ * awareness of GitHub's rate-limit headers. Tasks resolve to raw responses
+ * ({ statusCode, headers, data }); the scheduler decides whether to retry
+ * them and pauses the whole queue when the rate limit is exhausted.
+ */
+class RequestScheduler {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 8;
+    this.maxRetries = options.maxRetries ?? 5;
+    this.baseDelay = options.baseDelay ?? 1000;
+    this.maxDelay = options.maxDelay ?? 60000;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    this.active = 0;
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.stats = { requests: 0, retries: 0, rateLimitWaits: 0 };
+  }
+
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  next() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.active++;
+
+      this.run(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.active--;
+          this.next();
+        });
+    }
+  }
+
+  async run(task) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForRateLimit();
+      this.stats.requests++;
+
+      let response;
+      let error;
+      try {
+        response = await task();
+      } catch (err) {
+        error = err;
+      }
+
+      if (response) this.trackRateLimit(response.headers || {});
+
+      const delay = this.retryDelay(response, error, attempt);
+      if (delay === null) {
+        if (error) throw error;
+        return response;
+      }
+
+      this.stats.retries++;
+      const reason = error ? error.message : `HTTP ${response.statusCode}`;
+      console.warn(`   ⏳ ${reason}, retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1}/${this.maxRetries})`);
+      await this.sleep(delay);
+    }
+  }
+
+  // Returns the milliseconds to wait before retrying, or null when the result is final
+  retryDelay(response, error, attempt) {
+    if (attempt >= this.maxRetries) return null;
+
+    // Network failures (reset connections, DNS hiccups, timeouts)
+    if (error) return this.backoff(attempt);
+
+    const { statusCode, headers = {} } = response;
+    const retryAfter = parseInt(headers['retry-after'], 10);
+
+    // Primary rate limit exhausted: trackRateLimit() already paused the queue until the reset
+    if ((statusCode === 403 || statusCode === 429) && headers['x-ratelimit-remaining'] === '0') {
+      return this.pausedUntil > Date.now() ? 0 : this.backoff(attempt);
+    }
+
+    // Secondary rate limits answer 403/429, usually with Retry-After
+    if (statusCode === 429 || (statusCode === 403 && (!isNaN(retryAfter) || /secondary rate limit/i.test(response.data || '')))) {
+      return isNaN(retryAfter) ? Math.max(this.backoff(attempt), 60000) : retryAfter * 1000;
+    }
+
+    if (statusCode >= 500) {
+      return isNaN(retryAfter) ? this.backoff(attempt) : retryAfter * 1000;
+    }
+
+    return null;
+  }
+
+  backoff(attempt) {
+    const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+    return delay + Math.floor(Math.random() * this.baseDelay);
+  }
+
+  trackRateLimit(headers) {
+    const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    const reset = parseInt(headers['x-ratelimit-reset'], 10);
+
+    if (remaining === 0 && !isNaN(reset)) {
+      // Reset is epoch seconds; add a second of slack for clock skew
+      this.pausedUntil = Math.max(this.pausedUntil, reset * 1000 + 1000);
+    }
+  }
+
+  async waitForRateLimit() {
+    const wait = this.pausedUntil - Date.now();
+    if (wait <= 0) return;
+
+    this.stats.rateLimitWaits++;
+    console.warn(`   ⏳ Rate limit reached, pausing requests for ${Math.ceil(wait / 1000)}s`);
+    await this.sleep(wait);
+  }
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,269 @@
+const fs = require('fs').promises;
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const RequestScheduler = require('../request-scheduler');
+
+// Tried in order; the REST /readme endpoint resolves these the same way
+const README_PATHS = ['README.md', 'readme.md', 'Readme.md', 'README'];
+
+const REPOSITORY_FIELDS = `
+  name
+  description
+  url
+  defaultBranchRef { name }
+  isArchived
+  isFork
+  stargazerCount
+  forkCount
+  createdAt
+  updatedAt
+  pushedAt
+  owner { login }
+  primaryLanguage { name }
+  repositoryTopics(first: 20) { nodes { topic { name } } }
+`;
+
+const BLOB_FIELDS = [
+  'meta: object(expression: "HEAD:META.json") { ... on Blob { text } }',
+  ...README_PATHS.map((file, index) => `readme${index}: object(expression: "HEAD:${file}") { ... on Blob { text } }`)
+].join('\n');
+
+/**
+ * Reads guide repositories through the GitHub GraphQL API. META.json and
+ * README requests made in the same tick are batched into one query of up to
+ * batchSize aliased repositories, instead of two REST calls per repository.
+ *
+ * Responses can be recorded to (--record=<dir>) and replayed from
+ * (--replay=<dir>) fixture files: orgs/{org}/page-{n}.json per listing page
+ * and repos/{owner}/{name}.json per repository, so a replay does not depend
+ * on which repositories happened to share a batch.
+ */
+class GitHubGraphQLSource {
+  constructor(options = {}) {
+    this.name = 'github-graphql';
+    this.orgs = options.orgs || ['howtomgr'];
+    this.token = options.token || process.env.GITHUB_TOKEN;
+    this.batchSize = options.batchSize || 20;
+    this.recordDir = options.record || null;
+    this.replayDir = options.replay || null;
+
+    if (!this.token && !this.replayDir) {
+      throw new Error('The github-graphql source needs GITHUB_TOKEN (GraphQL does not allow anonymous requests)');
+    }
+
+    // GHES serves REST at /api/v3 and GraphQL at /api/graphql
+    const apiUrl = (options.apiUrl || process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/$/, '');
+    this.graphqlUrl = apiUrl.endsWith('/api/v3') ? apiUrl.replace(/\/v3$/, '/graphql') : `${apiUrl}/graphql`;
+    this.scheduler = options.scheduler || new RequestScheduler({ concurrency: options.concurrency });
+
+    this.pending = [];
+    this.contents = new Map();
+  }
+
+  async listRepositories() {
+    const repos = [];
+
+    for (const org of this.orgs) {
+      repos.push(...await this.listOrganizationRepositories(org));
+    }
+
+    return repos;
+  }
+
+  async listOrganizationRepositories(org) {
+    const repos = [];
+    let cursor = null;
+    let page = 1;
+
+    do {
+      const data = await this.recorded(`orgs/${org}/page-${page}.json`, () => this.graphql(`
+        query($org: String!, $cursor: String) {
+          organization(login: $org) {
+            repositories(first: 100, after: $cursor, orderBy: { field: UPDATED_AT, direction: DESC }) {
+              pageInfo { hasNextPage endCursor }
+              nodes { ${REPOSITORY_FIELDS} }
+            }
+          }
+        }
+      `, { org, cursor }));
+
+      const { nodes, pageInfo } = data.organization.repositories;
+      repos.push(...nodes.map(node => this.toRestRepository(node)));
+      console.log(`   📄 ${org} page ${page}: ${nodes.length} repositories`);
+
+      cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+      page++;
+    } while (cursor);
+
+    return repos;
+  }
+
+  async fetchMetadata(repo) {
+    const { meta } = await this.fetchContents(repo);
+    if (!meta) return null;
+
+    try {
+      return JSON.parse(meta);
+    } catch (error) {
+      throw new Error(`Could not parse META.json for ${repo.name}: ${error.message}`);
+    }
+  }
+
+  async fetchReadme(repo) {
+    const { readme } = await this.fetchContents(repo);
+    return readme;
+  }
+
+  // Same shape as a REST repository object, so guides come out identical to the REST source
+  toRestRepository(node) {
+    return {
+      name: node.name,
+      owner: { login: node.owner.login },
+      description: node.description,
+      language: node.primaryLanguage ? node.primaryLanguage.name : null,
+      stargazers_count: node.stargazerCount,
+      forks_count: node.forkCount,
+      topics: node.repositoryTopics.nodes.map(item => item.topic.name),
+      html_url: node.url,
+      default_branch: node.defaultBranchRef ? node.defaultBranchRef.name : null,
+      updated_at: node.updatedAt,
+      pushed_at: node.pushedAt,
+      created_at: node.createdAt,
+      archived: node.isArchived,
+      fork: node.isFork
+    };
+  }
+
+  fetchContents(repo) {
+    const key = `${repo.owner.login}/${repo.name}`;
+
+    if (!this.contents.has(key)) {
+      this.contents.set(key, this.recorded(`repos/${key}.json`, () => this.batched(repo)).then(result => {
+        const readme = README_PATHS
+          .map((file, index) => (result || {})[`readme${index}`])
+          .find(blob => blob && blob.text);
+
+        return {
+          meta: result && result.meta ? result.meta.text : null,
+          readme: readme ? readme.text : null
+        };
+      }));
+    }
+
+    return this.contents.get(key);
+  }
+
+  // Resolves to the repository's part of the next batch query
+  batched(repo) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ repo, resolve, reject });
+
+      // Collect every request made in this tick before sending the batch
+      if (this.pending.length === 1) {
+        setImmediate(() => this.flush());
+      }
+    });
+  }
+
+  flush() {
+    const pending = this.pending;
+    this.pending = [];
+
+    for (let i = 0; i < pending.length; i += this.batchSize) {
+      const batch = pending.slice(i, i + this.batchSize);
+
+      this.fetchBatch(batch.map(item => item.repo))
+        .then(results => batch.forEach((item, index) => item.resolve(results[index])))
+        .catch(error => batch.forEach(item => item.reject(error)));
+    }
+  }
+
+  async fetchBatch(repos) {
+    const variables = {};
+    const fields = repos.map((repo, index) => {
+      variables[`owner${index}`] = repo.owner.login;
+      variables[`name${index}`] = repo.name;
+      return `r${index}: repository(owner: $owner${index}, name: $name${index}) { ${BLOB_FIELDS} }`;
+    });
+    const params = repos.map((repo, index) => `$owner${index}: String!, $name${index}: String!`).join(', ');
+
+    const data = await this.graphql(`query(${params}) { ${fields.join('\n')} }`, variables);
+
+    return repos.map((repo, index) => data[`r${index}`] || null);
+  }
+
+  // Replays a recorded response, or makes the request and records what it returns
+  async recorded(name, request) {
+    if (this.replayDir) {
+      try {
+        return JSON.parse(await fs.readFile(path.join(this.replayDir, name), 'utf8')).response;
+      } catch (error) {
+        throw new Error(`No recorded GraphQL fixture ${name}: ${error.message}`);
+      }
+    }
+
+    const response = await request();
+
+    if (this.recordDir) {
+      const fixture = path.join(this.recordDir, name);
+      await fs.mkdir(path.dirname(fixture), { recursive: true });
+      await fs.writeFile(fixture, JSON.stringify({ response }, null, 2), 'utf8');
+    }
+
+    return response;
+  }
+
+  async graphql(query, variables) {
+    const res = await this.scheduler.schedule(() => this.sendRequest(JSON.stringify({ query, variables })));
+
+    let json;
+    try {
+      json = JSON.parse(res.data);
+    } catch (err) {
+      throw new Error(`Failed to parse response: ${err.message}`);
+    }
+
+    if (res.statusCode >= 400) {
+      throw new Error(`GitHub API error: ${res.statusCode} - ${json.message}`);
+    }
+
+    // Missing repositories or files come back as NOT_FOUND errors next to partial data
+    const errors = (json.errors || []).filter(error => error.type !== 'NOT_FOUND');
+    if (errors.length > 0 || !json.data) {
+      throw new Error(`GitHub GraphQL error: ${(errors[0] || {}).message || 'empty response'}`);
+    }
+
+    return json.data;
+  }
+
+  sendRequest(body) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(this.graphqlUrl);
+      const transport = url.protocol === 'http:' ? http : https;
+      const options = {
+        method: 'POST',
+        headers: {
+          'User-Agent': 'HowToMgr-NextJS/3.0',
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'Authorization': `bearer ${this.token}`
+        },
+        timeout: 60000
+      };
+
+      const req = transport.request(url, options, (res) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, data }));
+      });
+
+      req.on('timeout', () => req.destroy(new Error('GraphQL request timed out')));
+      req.on('error', reject);
+      req.write(body);
+      req.end();
+    });
+  }
+}
+
+module.exports = GitHubGraphQLSource;
@@ -0,0 +1,133 @@
+const http = require('http');
+const https = require('https');
+const RequestScheduler = require('../request-scheduler');
+
+/**
+ * Reads guide repositories from a GitHub organization through the REST API
+ */
+class GitHubSource {
+  constructor(options = {}) {
+    this.name = 'github';
+    this.orgs = options.orgs || ['howtomgr'];
+    this.token = options.token || process.env.GITHUB_TOKEN;
+    this.cache = options.cache || null;
+    // GITHUB_API_URL is set on Actions runners (and points at GHES there); tests can aim it at a mock server
+    this.apiUrl = (options.apiUrl || process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/$/, '');
+    this.scheduler = options.scheduler || new RequestScheduler({ concurrency: options.concurrency });
+  }
+
+  async listRepositories() {
+    let allRepos = [];
+
+    for (const org of this.orgs) {
+      let page = 1;
+
+      while (true) {
+        const repos = await this.makeGitHubRequest(`/orgs/${org}/repos?per_page=100&page=${page}&sort=updated`);
+
+        if (repos.length === 0) break;
+
+        allRepos = allRepos.concat(repos);
+        console.log(`   📄 ${org} page ${page}: ${repos.length} repositories`);
+
+        if (repos.length < 100) break;
+        page++;
+      }
+    }
+
+    return allRepos;
+  }
+
+  async fetchMetadata(repo) {
+    try {
+      const metaFile = await this.makeGitHubRequest(`/repos/${repo.owner.login}/${repo.name}/contents/META.json`);
+
+      if (metaFile.content) {
+        const content = Buffer.from(metaFile.content, 'base64').toString('utf-8');
+        return JSON.parse(content);
+      }
+
+      return null;
+    } catch (error) {
+      // A missing file is not an error; anything else must reach the fetcher so it can keep the last good guide
+      if (error.statusCode === 404) return null;
+      throw new Error(`Could not fetch META.json for ${repo.name}: ${error.message}`);
+    }
+  }
+
+  async fetchReadme(repo) {
+    try {
+      const readme = await this.makeGitHubRequest(`/repos/${repo.owner.login}/${repo.name}/readme`);
+
+      if (readme.content) {
+        return Buffer.from(readme.content, 'base64').toString('utf-8');
+      }
+
+      return null;
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw new Error(`Could not fetch README for ${repo.name}: ${error.message}`);
+    }
+  }
+
+  async makeGitHubRequest(endpoint) {
+    const res = await this.scheduler.schedule(() => this.sendRequest(endpoint));
+
+    // Conditional request matched: the cached body is still current
+    if (res.statusCode === 304 && this.cache) {
+      this.cache.hits++;
+      return this.cache.get(endpoint).body;
+    }
+
+    let json;
+    try {
+      json = JSON.parse(res.data);
+    } catch (err) {
+      throw new Error(`Failed to parse response: ${err.message}`);
+    }
+
+    if (res.statusCode >= 400) {
+      const error = new Error(`GitHub API error: ${res.statusCode} - ${json.message}`);
+      error.statusCode = res.statusCode;
+      throw error;
+    }
+
+    if (this.cache) {
+      this.cache.misses++;
+      this.cache.set(endpoint, res.headers, json);
+    }
+
+    return json;
+  }
+
+  sendRequest(endpoint) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(this.apiUrl + endpoint);
+      const transport = url.protocol === 'http:' ? http : https;
+      const options = {
+        method: 'GET',
+        headers: {
+          'User-Agent': 'HowToMgr-NextJS/3.0',
+          'Accept': 'application/vnd.github.v3+json',
+          ...(this.token && {
+            'Authorization': `token ${this.token}`
+          }),
+          ...(this.cache && this.cache.conditionalHeaders(endpoint))
+        },
+        timeout: 30000
+      };
+
+      const req = transport.request(url, options, (res) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, data }));
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`Request timed out: ${endpoint}`)));
+      req.on('error', reject);
+      req.end();
+    });
+  }
+}
+
+module.exports = GitHubSource;
@@ -0,0 +1,22 @@
+const GitHubSource = require('./github');
+const GitHubGraphQLSource = require('./github-graphql');
+const LocalSource = require('./local');
+
+// Every source exposes listRepositories(), fetchMetadata(repo) and fetchReadme(repo)
+const SOURCES = {
+  github: GitHubSource,
+  'github-graphql': GitHubGraphQLSource,
+  local: LocalSource
+};
+
+function createSource(type = 'github', options = {}) {
+  const Source = SOURCES[type];
+
+  if (!Source) {
+    throw new Error(`Unknown data source "${type}" (available: ${Object.keys(SOURCES).join(', ')})`);
+  }
+
+  return new Source(options);
+}
+
+module.exports = { SOURCES, createSource };
@@ -0,0 +1,88 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const README_NAMES = ['README.md', 'readme.md', 'Readme.md', 'README'];
+
+/**
+ * Reads guide repositories from a local directory of checkouts, one
+ * sub-directory per guide, for offline builds and unpublished previews
+ */
+class LocalSource {
+  constructor(options = {}) {
+    if (!options.dir) {
+      throw new Error('The local source needs a directory (--dir=<path>)');
+    }
+
+    this.name = 'local';
+    // Checkouts carry no owner, so they are attributed to the first configured organization
+    this.orgName = (options.orgs || ['howtomgr'])[0];
+    this.dir = path.resolve(options.dir);
+  }
+
+  async listRepositories() {
+    const entries = await fs.readdir(this.dir, { withFileTypes: true });
+    const repos = [];
+
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+
+      const repoDir = path.join(this.dir, entry.name);
+      const stats = await fs.stat(path.join(repoDir, 'META.json')).catch(() => null);
+      if (!stats) continue;
+
+      // The newest guide file stands in for the repository's last update
+      let updatedAt = stats.mtime;
+      for (const fileName of README_NAMES) {
+        const readmeStats = await fs.stat(path.join(repoDir, fileName)).catch(() => null);
+        if (readmeStats && readmeStats.mtime > updatedAt) updatedAt = readmeStats.mtime;
+      }
+
+      // Shape the entry like a GitHub API repository so the fetcher can treat every source alike
+      repos.push({
+        name: entry.name,
+        owner: { login: this.orgName },
+        description: null,
+        language: null,
+        stargazers_count: 0,
+        forks_count: 0,
+        topics: [],
+        html_url: `https://github.com/${this.orgName}/${entry.name}`,
+        updated_at: updatedAt.toISOString(),
+        pushed_at: updatedAt.toISOString(),
+        created_at: (stats.birthtimeMs > 0 ? stats.birthtime : stats.mtime).toISOString(),
+        archived: false,
+        fork: false,
+        localPath: repoDir
+      });
+    }
+
+    console.log(`   📁 ${this.dir}: ${repos.length} repositories`);
+    return repos;
+  }
+
+  async fetchMetadata(repo) {
+    try {
+      const content = await fs.readFile(path.join(repo.localPath, 'META.json'), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Could not read META.json for ${repo.name}: ${error.message}`);
+    }
+  }
+
+  async fetchReadme(repo) {
+    for (const fileName of README_NAMES) {
+      try {
+        return await fs.readFile(path.join(repo.localPath, fileName), 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Could not read README for ${repo.name}: ${error.message}`);
+        }
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = LocalSource;
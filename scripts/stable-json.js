@@ -0,0 +1,39 @@
+const fs = require('fs').promises;
+
+// Recursively copies plain objects with their keys sorted, so output never depends on insertion order
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.keys(value).sort().reduce((sorted, key) => {
+    sorted[key] = sortKeys(value[key]);
+    return sorted;
+  }, {});
+}
+
+function stringify(value, { sorted = false } = {}) {
+  return JSON.stringify(sorted ? sortKeys(value) : value, null, 2);
+}
+
+/**
+ * Writes content unless the file already holds exactly those bytes, so
+ * unchanged outputs keep their modification time as well as their content.
+ * Returns whether the file was written.
+ */
+async function writeIfChanged(filePath, content) {
+  try {
+    if (await fs.readFile(filePath, 'utf8') === content) return false;
+  } catch (error) {
+    // Not written yet
+  }
+
+  await fs.writeFile(filePath, content, 'utf8');
+  return true;
+}
+
+// writeIfChanged for a value as JSON
+async function writeJSON(filePath, value, options) {
+  return writeIfChanged(filePath, stringify(value, options));
+}
+
+module.exports = { sortKeys, stringify, writeIfChanged, writeJSON };
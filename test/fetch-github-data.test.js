@@ -0,0 +1,84 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GitHubDataFetcher = require('../scripts/fetch-github-data');
+
+const REPO = {
+  name: 'demo',
+  owner: { login: 'howtomgr' },
+  html_url: 'https://github.com/howtomgr/demo',
+  updated_at: '2025-09-01T10:00:00Z',
+  pushed_at: '2025-09-01T10:00:00Z',
+  created_at: '2025-08-01T10:00:00Z'
+};
+
+before(() => mock.method(console, 'log', () => {}));
+after(() => mock.restoreAll());
+
+// A source serving one repository whose README can change between builds
+function fakeSource() {
+  return {
+    name: 'fake',
+    readme: '# Demo\n\nFirst version\n',
+    fetches: 0,
+    async fetchMetadata() {
+      this.fetches++;
+      return { spec_version: '2.0', title: 'Demo', category: 'web' };
+    },
+    async fetchReadme() {
+      return this.readme;
+    }
+  };
+}
+
+async function build(source, previous, repo) {
+  const fetcher = new GitHubDataFetcher({ source, config: { overrides: {} }, reproducible: true });
+  if (previous) fetcher.previousGuides = new Map([[previous.name, previous]]);
+  const stats = { reused: 0, refetched: 0, stale: 0 };
+  return { guide: await fetcher.processRepository(repo, stats), stats };
+}
+
+test('reuses a guide whose repository was neither updated nor pushed', async () => {
+  const source = fakeSource();
+  const first = await build(source, null, REPO);
+  const second = await build(source, first.guide, REPO);
+
+  assert.strictEqual(source.fetches, 1);
+  assert.strictEqual(second.stats.reused, 1);
+});
+
+test('refetches a guide after a push that left updated_at alone', async () => {
+  const source = fakeSource();
+  const first = await build(source, null, REPO);
+
+  source.readme = '# Demo\n\nSecond version\n';
+  const second = await build(source, first.guide, { ...REPO, pushed_at: '2025-09-02T08:00:00Z' });
+
+  assert.strictEqual(source.fetches, 2);
+  assert.strictEqual(second.stats.refetched, 1);
+  assert.strictEqual(second.guide.readmeRaw, source.readme);
+  assert.strictEqual(second.guide.pushedAt, '2025-09-02T08:00:00Z');
+});
+
+test('rewrites only changed install scripts and removes those of dropped platforms', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'install-scripts-'));
+  const fetcher = new GitHubDataFetcher({ source: fakeSource(), config: { overrides: {} } });
+  const past = new Date('2025-01-01T00:00:00Z');
+
+  try {
+    await fetcher.writeInstallScripts(dir, { debian: 'apt\n', rhel: 'dnf\n' });
+    fs.utimesSync(path.join(dir, 'install-debian.sh'), past, past);
+
+    await fetcher.writeInstallScripts(dir, { debian: 'apt\n', arch: 'pacman\n' });
+
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['install-arch.sh', 'install-debian.sh']);
+    assert.strictEqual(fs.statSync(path.join(dir, 'install-debian.sh')).mtimeMs, past.getTime());
+
+    await fetcher.writeInstallScripts(dir, {});
+    assert.ok(!fs.existsSync(dir));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
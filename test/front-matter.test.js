@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { readFrontMatter } = require('../lib/front-matter');
+
+const README = [
+  '---',
+  'summary: Shown instead of the description',
+  'keywords: [reverse proxy, load balancer]',
+  'hidden_sections:',
+  '  - Contributing',
+  '---',
+  '# Guide',
+  ''
+];
+
+test('reads front matter with LF line endings', () => {
+  const { data, content, errors } = readFrontMatter(README.join('\n'));
+
+  assert.deepStrictEqual(data, {
+    summary: 'Shown instead of the description',
+    keywords: ['reverse proxy', 'load balancer'],
+    hidden_sections: ['Contributing']
+  });
+  assert.strictEqual(content, '# Guide\n');
+  assert.deepStrictEqual(errors, []);
+});
+
+test('reads front matter with CRLF line endings and a byte order mark', () => {
+  const lf = readFrontMatter(README.join('\n'));
+
+  assert.deepStrictEqual(readFrontMatter(README.join('\r\n')), lf);
+  assert.deepStrictEqual(readFrontMatter(`\uFEFF${README.join('\r\n')}`), lf);
+  assert.deepStrictEqual(readFrontMatter(`\uFEFF${README.join('\n')}`), lf);
+});
+
+test('returns markdown without front matter whole', () => {
+  assert.deepStrictEqual(readFrontMatter('\uFEFF# Guide\r\n\r\nText\r\n'), { data: {}, content: '# Guide\n\nText\n', errors: [] });
+  assert.deepStrictEqual(readFrontMatter('---\nsummary: never closed\n'), { data: {}, content: '---\nsummary: never closed\n', errors: [] });
+});
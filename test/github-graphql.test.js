@@ -0,0 +1,85 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const GitHubDataFetcher = require('../scripts/fetch-github-data');
+const GitHubSource = require('../scripts/sources/github');
+const GitHubGraphQLSource = require('../scripts/sources/github-graphql');
+const RequestScheduler = require('../scripts/request-scheduler');
+const { loadConfig } = require('../scripts/config');
+
+// Three repositories (one without META.json) as the REST API and as recorded GraphQL responses
+const FIXTURES = path.join(__dirname, 'fixtures', 'github');
+
+let server;
+
+// Serves the fixture guides the way the REST API does
+function restResponse(url) {
+  if (url.startsWith('/orgs/howtomgr/repos')) {
+    return url.includes('page=1&') ? fs.readFileSync(path.join(FIXTURES, 'repos.json'), 'utf8') : '[]';
+  }
+
+  const match = url.match(/^\/repos\/howtomgr\/([\w-]+)\/(readme|contents\/META\.json)$/);
+  const file = match && path.join(FIXTURES, 'guides', match[1], match[2] === 'readme' ? 'README.md' : 'META.json');
+  if (!file || !fs.existsSync(file)) return null;
+
+  return JSON.stringify({ encoding: 'base64', content: fs.readFileSync(file).toString('base64') });
+}
+
+before(async () => {
+  // The fetcher's progress output is not part of what is tested
+  mock.method(console, 'log', () => {});
+
+  server = http.createServer((req, res) => {
+    const body = restResponse(req.url);
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(body || JSON.stringify({ message: 'Not Found' }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+});
+
+// Guides as the fetcher builds them from a source, before anything is written
+async function buildGuides(source) {
+  const fetcher = new GitHubDataFetcher({
+    source,
+    config: await loadConfig(path.join(FIXTURES, 'missing-config.json')),
+    reproducible: true
+  });
+
+  const repositories = await fetcher.fetchAllRepositories();
+  fetcher.buildTime = fetcher.calculateBuildTime(repositories);
+  return { guides: await fetcher.processRepositories(repositories), skipped: fetcher.skipped };
+}
+
+test('the GraphQL source builds the same guides as the REST source', async () => {
+  const rest = await buildGuides(new GitHubSource({
+    apiUrl: `http://127.0.0.1:${server.address().port}`,
+    token: null,
+    scheduler: new RequestScheduler({ maxRetries: 0 })
+  }));
+  const graphql = await buildGuides(new GitHubGraphQLSource({ replay: path.join(FIXTURES, 'graphql') }));
+
+  assert.deepStrictEqual(rest.guides.map(guide => guide.name), ['x2go', 'xen-orchestra']);
+  assert.deepStrictEqual(graphql.guides, rest.guides);
+  assert.deepStrictEqual(graphql.skipped, rest.skipped);
+});
+
+test('replay does not depend on which repositories share a batch', async () => {
+  const replay = path.join(FIXTURES, 'graphql');
+  const repos = await new GitHubGraphQLSource({ replay }).listRepositories();
+  const x2go = repos.find(repo => repo.name === 'x2go');
+
+  // A build that reuses every other guide asks for this one repository alone
+  const alone = new GitHubGraphQLSource({ replay, batchSize: 1 });
+  const together = new GitHubGraphQLSource({ replay });
+  const [readme] = await Promise.all(repos.map(repo => together.fetchReadme(repo)));
+
+  assert.strictEqual(await alone.fetchReadme(x2go), readme);
+  assert.strictEqual(readme, fs.readFileSync(path.join(FIXTURES, 'guides', 'x2go', 'README.md'), 'utf8'));
+});
@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const { MarkdownProcessor } = require('../lib/markdown');
+const { buildInstallScript, installScripts } = require('../lib/install-script');
+const { guides } = require('../data/guides.json');
+
+const GUIDE = { displayName: 'Demo', category: 'web', slug: 'demo', supportedOS: ['debian', 'rhel'] };
+
+const README = `# Demo
+
+## Installation
+
+### RHEL/CentOS
+
+\`\`\`bash
+sudo dnf install -y demo
+\`\`\`
+
+### Debian/Ubuntu
+
+\`\`\`bash
+sudo apt install -y demo
+sudo systemctl status demo
+\`\`\`
+
+## Initial Configuration
+
+\`\`\`bash
+sudo mkdir -p /etc/demo
+\`\`\`
+
+## Service Management
+
+\`\`\`bash
+sudo systemctl restart demo
+sudo journalctl -u demo -f
+\`\`\`
+
+## Security Configuration
+
+\`\`\`bash
+sudo firewall-cmd --permanent --add-port=80/tcp
+sudo setsebool -P httpd_can_network_connect on
+\`\`\`
+
+## Firewall
+
+### Debian/Ubuntu
+
+\`\`\`bash
+sudo ufw allow 80/tcp
+tail -f /var/log/demo.log
+\`\`\`
+
+## Logs
+
+\`\`\`bash
+sudo tail -n 100 /var/log/demo.log
+\`\`\`
+`;
+
+function script(markdown, platform) {
+  return buildInstallScript(MarkdownProcessor.renderGuide(markdown).ast, platform, GUIDE);
+}
+
+// Lines the script runs
+function commands(text) {
+  return text.split('\n').filter(line => line.trim() && !line.trim().startsWith('#'));
+}
+
+test('takes the chosen platform sections and the install sections', () => {
+  const debian = commands(script(README, 'debian'));
+
+  assert.ok(debian.includes('sudo apt install -y demo'));
+  assert.ok(debian.includes('sudo mkdir -p /etc/demo'));
+  assert.ok(debian.includes('sudo ufw allow 80/tcp'));
+  assert.ok(!debian.some(line => /dnf|firewall-cmd|setsebool/.test(line)), debian.join('\n'));
+});
+
+test('leaves out service, status and log sections', () => {
+  const debian = commands(script(README, 'debian'));
+
+  assert.ok(!debian.some(line => /systemctl|journalctl|tail/.test(line)), debian.join('\n'));
+});
+
+test('keeps install steps whose heading only mentions a skipped topic', () => {
+  const markdown = '## Installation\n\n### Update package index\n\n```bash\nsudo apt update\n```\n\n' +
+    '### Configure the service account\n\n```bash\nsudo useradd --system demo\n```\n\n' +
+    '### Upgrade\n\n```bash\nsudo apt upgrade demo\n```\n';
+  const debian = commands(script(markdown, 'debian'));
+
+  assert.ok(debian.includes('sudo apt update'));
+  assert.ok(debian.includes('sudo useradd --system demo'));
+  assert.ok(!debian.includes('sudo apt upgrade demo'));
+});
+
+test('comments out commands that never return or only report status', () => {
+  const debian = script(README, 'debian');
+
+  assert.match(debian, /^# Not run here \(waits or reports status\): sudo systemctl status demo$/m);
+  assert.match(debian, /^# Not run here \(waits or reports status\): tail -f \/var\/log\/demo.log$/m);
+});
+
+test('drops a block when a skipped command is part of a continued line', () => {
+  const markdown = '## Installation\n\n### Debian\n\n```bash\nsudo apt install -y demo && \\\n  journalctl -fu demo\n```\n';
+
+  assert.strictEqual(script(markdown, 'debian'), null);
+});
+
+test('builds scripts bash can parse for every fixture guide', () => {
+  for (const guide of guides) {
+    const scripts = installScripts(MarkdownProcessor.renderGuide(guide.readmeRaw).ast, guide);
+
+    for (const [platform, text] of Object.entries(scripts)) {
+      const result = spawnSync('bash', ['-n'], { input: text, encoding: 'utf8' });
+      assert.strictEqual(result.status, 0, `${guide.slug} ${platform}: ${result.stderr}`);
+      assert.ok(!commands(text).some(line => /\bjournalctl\b|\btail\s.*\s-f\b|\bwatch\b/.test(line)), `${guide.slug} ${platform}`);
+    }
+  }
+});
@@ -0,0 +1,313 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { MarkdownProcessor } = require('../lib/markdown');
+const { guidePlaceholders } = require('../lib/placeholders');
+const { guides } = require('../data/guides.json');
+
+// Rendered output of READMEs from data/guides.json; UPDATE_GOLDEN=1 npm test rewrites them.
+// Most guides share one template, so a few stand for all of them
+const GOLDEN_DIR = path.join(__dirname, 'fixtures', 'markdown');
+const GOLDEN_GUIDES = ['wordpress', 'yacht', 'xen-orchestra'];
+const update = !!process.env.UPDATE_GOLDEN;
+
+// Rendered the way the fetcher renders them (scripts/fetch-github-data.js renderReadmes)
+const guidePages = MarkdownProcessor.guidePages(guides);
+
+for (const guide of guides.filter(guide => GOLDEN_GUIDES.includes(guide.slug))) {
+  test(`renders ${guide.slug} like its golden files`, () => {
+    const { html, tableOfContents, ast } = MarkdownProcessor.renderGuide(guide.readmeRaw, {
+      repositoryUrl: guide.githubUrl,
+      branch: guide.defaultBranch,
+      guidePages,
+      placeholders: guidePlaceholders(guide)
+    });
+
+    const htmlFile = path.join(GOLDEN_DIR, `${guide.slug}.html`);
+    const jsonFile = path.join(GOLDEN_DIR, `${guide.slug}.json`);
+    const json = `${JSON.stringify({ tableOfContents, ast }, null, 2)}\n`;
+
+    if (update) {
+      fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+      fs.writeFileSync(htmlFile, html);
+      fs.writeFileSync(jsonFile, json);
+      return;
+    }
+
+    assert.strictEqual(html, fs.readFileSync(htmlFile, 'utf8'));
+    assert.deepStrictEqual(JSON.parse(json), JSON.parse(fs.readFileSync(jsonFile, 'utf8')));
+  });
+}
+
+test('takes only name characters from a fence language', () => {
+  const { html, ast } = MarkdownProcessor.renderGuide('```bash"x="y onmouseover="alert(1)\necho hi\n```\n\n```c++\nint x;\n```\n');
+
+  assert.deepStrictEqual(ast.children.map(node => node.language), ['bash', 'c++']);
+  assert.ok(!html.includes('onmouseover'), html);
+});
+
+test('renders thematic breaks', () => {
+  const { ast, html } = MarkdownProcessor.renderGuide('One\n\n---\n\nTwo\n***\n* * *\n\n- item\n');
+
+  assert.deepStrictEqual(ast.children.map(node => node.type), ['paragraph', 'thematicBreak', 'paragraph', 'thematicBreak', 'thematicBreak', 'list']);
+  assert.strictEqual((html.match(/<hr class="mobile-divider">/g) || []).length, 3);
+});
+
+test('keeps a multi-line <details> block together and renders the markdown inside it', () => {
+  const { ast, html } = MarkdownProcessor.renderGuide('Intro\n\n<details>\n<summary>More</summary>\n\nHidden **body** text.\n\n</details>\n\nAfter\n');
+
+  assert.deepStrictEqual(ast.children.map(node => node.type), ['paragraph', 'html', 'paragraph']);
+  assert.strictEqual(ast.children[1].html, '<details>\n<summary>More</summary>\n<p class="mobile-paragraph">Hidden <strong>body</strong> text.</p>\n</details>');
+  assert.doesNotMatch(html, /<p[^>]*>\s*<\/p>|<p[^>]*><details>/);
+});
+
+test('sanitizes raw HTML blocks', () => {
+  const { html } = MarkdownProcessor.renderGuide('<div>\n<script>alert(1)</script>\n<a href="javascript:alert(1)" onclick="x()">link</a>\n</div>\n');
+
+  assert.doesNotMatch(html, /<script|javascript:|onclick/);
+  assert.match(html, /<div>[\s\S]*link<\/a>[\s\S]*<\/div>/);
+});
+
+const REPOSITORY = { repositoryUrl: 'https://github.com/howtomgr/demo', branch: 'main' };
+
+function resolved(markdown, context = REPOSITORY) {
+  return MarkdownProcessor.renderGuide(markdown, context);
+}
+
+test('links relative files to blob and images to raw on the guide branch', () => {
+  const { html } = resolved('[setup](docs/setup.md) and ![diagram](img/arch.png)\n');
+
+  assert.match(html, /href="https:\/\/github\.com\/howtomgr\/demo\/blob\/main\/docs\/setup\.md"/);
+  assert.match(html, /src="https:\/\/github\.com\/howtomgr\/demo\/raw\/main\/img\/arch\.png"/);
+});
+
+test('keeps ../ and root-relative paths inside the repository', () => {
+  const { html } = resolved('[up](../x.md) [way up](../../other/x.md) [root](/y.md?plain=1#top)\n');
+
+  assert.match(html, /href="https:\/\/github\.com\/howtomgr\/demo\/blob\/main\/x\.md"/);
+  assert.match(html, /href="https:\/\/github\.com\/howtomgr\/demo\/blob\/main\/other\/x\.md"/);
+  assert.match(html, /href="https:\/\/github\.com\/howtomgr\/demo\/blob\/main\/y\.md\?plain=1#top"/);
+});
+
+test('sends links to another guide\'s repository to that guide\'s page', () => {
+  const context = { ...REPOSITORY, guidePages: { 'howtomgr/nginx': '/web-servers/nginx/' } };
+  const { html } = resolved('[a](https://github.com/howtomgr/nginx) [b](https://github.com/HowToMgr/nginx/blob/main/README.md#install) [c](https://github.com/howtomgr/nginx/blob/main/conf/site.conf)\n', context);
+
+  assert.match(html, /<a href="\/web-servers\/nginx\/" class="mobile-link">a<\/a>/);
+  assert.match(html, /<a href="\/web-servers\/nginx\/#install" class="mobile-link">b<\/a>/);
+  assert.match(html, /href="https:\/\/github\.com\/howtomgr\/nginx\/blob\/main\/conf\/site\.conf"/);
+});
+
+test('leaves anchors alone', () => {
+  const { html } = resolved('[below](#configuration)\n');
+
+  assert.match(html, /<a href="#configuration" class="mobile-link">below<\/a>/);
+});
+
+test('warns about images without alt text', () => {
+  const { warnings } = resolved('![](img/a.png) ![ok](img/b.png)\n');
+
+  assert.deepStrictEqual(warnings, [{ path: 'README.md', message: 'image "https://github.com/howtomgr/demo/raw/main/img/a.png" has no alt text' }]);
+});
+
+test('parses every heading level from 1 to 6', () => {
+  const { ast, html, tableOfContents } = MarkdownProcessor.renderGuide('# One\n## Two\n### Three\n#### Four\n##### Five\n###### Six\n####### Seven\n');
+
+  assert.deepStrictEqual(ast.children.filter(node => node.type === 'heading').map(node => node.level), [2, 3, 4, 5, 6]);
+  assert.deepStrictEqual(tableOfContents.map(entry => entry.level), [2, 3, 4, 5, 6]);
+  assert.match(html, /<h6 id="six" class="mobile-header">Six/);
+  assert.match(html, /<p class="mobile-paragraph">####### Seven<\/p>/);
+});
+
+test('suffixes repeated heading slugs and keeps Unicode letters', () => {
+  const { tableOfContents } = MarkdownProcessor.renderGuide('## Setup\n## Setup\n## Setup\n## Configuração do serviço\n## Установка\n## Setup-1\n');
+
+  assert.deepStrictEqual(tableOfContents.map(entry => entry.id), ['setup', 'setup-1', 'setup-2', 'configuração-do-serviço', 'установка', 'setup-1-1']);
+});
+
+test('parses tables with column alignment', () => {
+  const { ast, html } = MarkdownProcessor.renderGuide('| Left | Center | Right | Plain |\n|:-----|:------:|------:|-------|\n| 1 | 2 | 3 | 4 |\n');
+  const [table] = ast.children;
+
+  assert.strictEqual(table.type, 'table');
+  assert.deepStrictEqual(table.align, ['left', 'center', 'right', null]);
+  assert.deepStrictEqual(table.header, ['Left', 'Center', 'Right', 'Plain']);
+  assert.deepStrictEqual(table.rows, [['1', '2', '3', '4']]);
+  assert.match(html, /<th class="mobile-table-align-center">Center<\/th>/);
+  assert.match(html, /<td class="mobile-table-align-right">3<\/td><td>4<\/td>/);
+});
+
+test('keeps escaped pipes inside table cells', () => {
+  const { ast } = MarkdownProcessor.renderGuide('| Command | Note |\n| --- | --- |\n| a \\| b | `x \\| y` |\n');
+
+  assert.deepStrictEqual(ast.children[0].rows, [['a | b', '<code class="mobile-inline-code">x | y</code>']]);
+});
+
+test('cuts and pads table rows to the header width', () => {
+  const { ast } = MarkdownProcessor.renderGuide('| A | B |\n| - | - |\n| 1 |\n| 1 | 2 | 3 |\n');
+
+  assert.deepStrictEqual(ast.children[0].rows, [['1', ''], ['1', '2']]);
+});
+
+test('needs a delimiter row with as many cells as the header', () => {
+  const { ast } = MarkdownProcessor.renderGuide('| A | B |\n| --- |\n| 1 | 2 |\n\nText | with a pipe\n');
+
+  assert.deepStrictEqual(ast.children.map(node => node.type), ['paragraph', 'paragraph']);
+});
+
+// A list tree as nested arrays of item text, for comparing structure
+function listShape(list) {
+  return list.children.map(item => item.children.map(node => (node.type === 'list' ? listShape(node) : node.html || node.type)));
+}
+
+test('nests lists by indentation, mixing ordered and unordered', () => {
+  const { ast, html } = MarkdownProcessor.renderGuide('1. First\n   - nested a\n   - nested b\n     1. deep\n2. Second\n');
+  const [list] = ast.children;
+
+  assert.strictEqual(list.ordered, true);
+  assert.deepStrictEqual(listShape(list), [['First', [['nested a'], ['nested b', [['deep']]]]], ['Second']]);
+  assert.strictEqual(list.children[0].children[1].ordered, false);
+  assert.match(html, /<li class="mobile-list-item">nested b\n<ol>\n<li class="mobile-list-item">deep<\/li>\n<\/ol><\/li>/);
+});
+
+test('keeps indented paragraphs and code inside their list item', () => {
+  const { ast } = MarkdownProcessor.renderGuide('1. Install\n\n   Then run:\n\n   ```bash\n   demo --start\n   ```\n2. Done\n');
+  const [list] = ast.children;
+
+  assert.strictEqual(list.loose, true);
+  assert.deepStrictEqual(list.children[0].children.map(node => node.type), ['paragraph', 'paragraph', 'code']);
+  assert.strictEqual(list.children[0].children[2].code, 'demo --start');
+});
+
+test('starts a new list on a change of marker kind and keeps the start number', () => {
+  const { ast, html } = MarkdownProcessor.renderGuide('- one\n- two\n1. three\n\nText\n\n3. four\n4. five\n');
+
+  assert.deepStrictEqual(ast.children.map(node => [node.type, node.ordered, node.start]), [
+    ['list', false, 1],
+    ['list', true, 1],
+    ['paragraph', undefined, undefined],
+    ['list', true, 3]
+  ]);
+  assert.match(html, /<ol start="3">/);
+});
+
+test('renders [!WARNING] blockquotes as callouts', () => {
+  const { ast, html } = MarkdownProcessor.renderGuide('> [!WARNING]\n> Back up **first**.\n>\n> Then upgrade.\n');
+  const [alert] = ast.children;
+
+  assert.strictEqual(alert.type, 'alert');
+  assert.strictEqual(alert.variant, 'warning');
+  assert.strictEqual(alert.title, 'Warning');
+  assert.deepStrictEqual(alert.children.map(node => node.html), ['Back up <strong>first</strong>.', 'Then upgrade.']);
+  assert.match(html, /^<div class="mobile-callout mobile-callout-warning" role="note" aria-label="Warning">\n<p class="mobile-callout-title">/);
+});
+
+test('accepts every alert type in any case', () => {
+  const markdown = ['NOTE', 'tip', 'Important', 'WARNING', 'caution'].map(type => `> [!${type}]\n> Text\n`).join('\n');
+  const { ast } = MarkdownProcessor.renderGuide(markdown);
+
+  assert.deepStrictEqual(ast.children.map(node => node.variant), ['note', 'tip', 'important', 'warning', 'caution']);
+});
+
+test('leaves unknown alert types and text after the marker as blockquotes', () => {
+  const { ast } = MarkdownProcessor.renderGuide('> [!DANGER]\n> Text\n\n> [!NOTE] Inline\n> Text\n\n> Plain\n');
+
+  assert.deepStrictEqual(ast.children.map(node => node.type), ['blockquote', 'blockquote', 'blockquote']);
+});
+
+test('numbers footnotes and links a repeated reference back twice', () => {
+  const markdown = 'Uses nginx[^proxy] and again[^proxy], plus [^2].\n\n[^proxy]: A reverse **proxy**.\n[^2]: Second note.\n';
+  const { ast, html } = MarkdownProcessor.renderGuide(markdown);
+  const footnotes = ast.children[ast.children.length - 1];
+
+  assert.match(html, /nginx<sup class="footnote-ref"><a href="#fn-proxy" id="fnref-proxy">1<\/a><\/sup> and again<sup class="footnote-ref"><a href="#fn-proxy" id="fnref-proxy-2">1<\/a><\/sup>/);
+  assert.match(html, /<a href="#fn-2" id="fnref-2">2<\/a>/);
+  assert.strictEqual(footnotes.type, 'footnotes');
+  assert.deepStrictEqual(footnotes.children.map(footnote => footnote.id), ['fn-proxy', 'fn-2']);
+
+  const backrefs = footnotes.children[0].children[0].html.match(/href="#fnref-[\w-]+"/g);
+  assert.deepStrictEqual(backrefs, ['href="#fnref-proxy"', 'href="#fnref-proxy-2"']);
+});
+
+test('leaves references without a definition as text', () => {
+  const { ast } = MarkdownProcessor.renderGuide('Missing[^nope].\n');
+
+  assert.deepStrictEqual(ast.children, [{ type: 'paragraph', html: 'Missing[^nope].' }]);
+});
+
+test('parses definition lists', () => {
+  const { ast, html } = MarkdownProcessor.renderGuide('Port\n: The port to listen on\n: Defaults to 8080\n');
+
+  assert.deepStrictEqual(ast.children[0].children.map(node => node.type), ['term', 'definition', 'definition']);
+  assert.strictEqual(html, '<dl class="mobile-definition-list">\n<dt>Port</dt>\n<dd>The port to listen on</dd>\n<dd>Defaults to 8080</dd>\n</dl>');
+});
+
+test('parses task lists with ids numbered through the guide', () => {
+  const { ast, html } = MarkdownProcessor.renderGuide('- [ ] todo\n- [x] done\n\nText\n\n- [X] later\n');
+  const tasks = ast.children.filter(node => node.type === 'list').flatMap(list => list.children.map(item => item.task));
+
+  assert.deepStrictEqual(tasks, [{ id: 0, checked: false }, { id: 1, checked: true }, { id: 2, checked: true }]);
+  assert.match(html, /<input type="checkbox" class="task-list-checkbox" disabled=""> todo<\/li>/);
+  assert.match(html, /<input type="checkbox" class="task-list-checkbox" disabled="" checked=""> done<\/li>/);
+});
+
+const TABS_README = `## Installation
+
+### Debian/Ubuntu
+
+\`\`\`bash
+sudo apt install -y demo
+\`\`\`
+
+Debian only.
+
+#### Notes
+
+Needs backports on Debian 11.
+
+### RHEL/CentOS
+
+\`\`\`bash
+sudo dnf install -y demo
+\`\`\`
+
+### Building from source
+
+Any platform.
+
+## Firewall
+
+### macOS
+
+Nothing to do.
+`;
+
+test('groups sibling platform sections into tabs', () => {
+  const { ast } = MarkdownProcessor.renderGuide(TABS_README);
+  const tabs = ast.children[1];
+
+  assert.strictEqual(tabs.type, 'platformTabs');
+  assert.deepStrictEqual(tabs.children.map(tab => [tab.label, tab.platforms]), [
+    ['Debian/Ubuntu', ['debian']],
+    ['RHEL/CentOS', ['rhel']]
+  ]);
+  // Subsections stay inside their tab; a heading naming no platform ends the tabs
+  assert.deepStrictEqual(tabs.children[0].children.map(node => node.type), ['heading', 'code', 'paragraph', 'heading', 'paragraph']);
+  assert.strictEqual(tabs.children[0].children[3].level, 4);
+  assert.strictEqual(ast.children[2].text, 'Building from source');
+});
+
+test('leaves a lone platform section as it is', () => {
+  const { ast } = MarkdownProcessor.renderGuide(TABS_README);
+
+  assert.ok(!ast.children.slice(3).some(node => node.type === 'platformTabs'));
+  assert.strictEqual(ast.children[ast.children.length - 2].text, 'macOS');
+});
+
+test('lists tab headings in the table of contents and renders every tab in HTML', () => {
+  const { html, tableOfContents } = MarkdownProcessor.renderGuide(TABS_README);
+
+  assert.deepStrictEqual(tableOfContents.map(entry => entry.text), ['Installation', 'Debian/Ubuntu', 'Notes', 'RHEL/CentOS', 'Building from source', 'Firewall', 'macOS']);
+  assert.ok(html.indexOf('id="debianubuntu"') < html.indexOf('id="rhelcentos"'));
+});
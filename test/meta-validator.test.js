@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateMetadata } = require('../scripts/meta-validator');
+
+const META = {
+  spec_version: '2.0',
+  title: 'Demo Installation Guide',
+  description: 'Demo is a tool',
+  category: 'web',
+  difficulty_level: 'beginner',
+  supported_os: ['debian', 'rhel'],
+  default_ports: [8080],
+  maintenance_status: 'active'
+};
+
+test('accepts a valid META.json', () => {
+  assert.deepStrictEqual(validateMetadata(META), { specVersion: '2.0', errors: [], warnings: [] });
+});
+
+test('checks a numeric spec_version against its spec and asks for a string', () => {
+  const { specVersion, errors } = validateMetadata({ ...META, spec_version: 2.0 });
+
+  assert.strictEqual(specVersion, '2.0');
+  assert.deepStrictEqual(errors, [{ path: '/spec_version', message: 'must be a string ("2.0")' }]);
+});
+
+test('reports unknown spec versions and keys', () => {
+  const { errors, warnings } = validateMetadata({ ...META, spec_version: '9.9', difficulty: 'easy' });
+
+  assert.match(errors[0].message, /^unsupported spec_version "9.9"/);
+  assert.deepStrictEqual(warnings.map(warning => warning.path), ['/difficulty']);
+});
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { guidePlaceholders, markPlaceholders } = require('../lib/placeholders');
+
+test('marks the first default port, but not the container side of a mapping', () => {
+  const placeholders = guidePlaceholders({ slug: 'grafana', defaultPorts: [3000] });
+  const { html, keys } = markPlaceholders('docker run -p 3000:3000 grafana', placeholders);
+
+  assert.deepStrictEqual(keys, ['port']);
+  assert.strictEqual(html, 'docker run -p <span class="code-placeholder" data-placeholder="port">3000</span>:3000 grafana');
+});
+
+test('ignores default ports that are not port numbers', () => {
+  for (const defaultPorts of [['80('], ['[a-'], ['8080'], [null], [0], [80.5], []]) {
+    const placeholders = guidePlaceholders({ slug: 'tool', defaultPorts });
+
+    assert.ok(!placeholders.some(placeholder => placeholder.key === 'port'), JSON.stringify(defaultPorts));
+    assert.doesNotThrow(() => markPlaceholders('curl http://localhost:80/', placeholders));
+  }
+});
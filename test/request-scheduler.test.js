@@ -0,0 +1,117 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const RequestScheduler = require('../scripts/request-scheduler');
+const GitHubSource = require('../scripts/sources/github');
+
+// Each test queues the responses the mock API gives, in order
+let responses = [];
+let requests = 0;
+let server;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests++;
+    const { status = 200, headers = {}, body = { ok: true } } = responses.shift() || {};
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.GITHUB_API_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  delete process.env.GITHUB_API_URL;
+  server.close();
+});
+
+beforeEach(() => {
+  responses = [];
+  requests = 0;
+});
+
+// A source whose scheduler records its waits instead of sleeping
+function mockSource(options = {}) {
+  const sleeps = [];
+  const scheduler = new RequestScheduler({ baseDelay: 1000, sleep: async ms => { sleeps.push(ms); }, ...options });
+  return { source: new GitHubSource({ scheduler }), scheduler, sleeps };
+}
+
+test('retries 5xx responses with exponential backoff', async () => {
+  responses = [{ status: 502 }, { status: 503 }, { status: 200, body: { name: 'wordpress' } }];
+  const { source, scheduler, sleeps } = mockSource();
+
+  const repo = await source.makeGitHubRequest('/repos/howtomgr/wordpress');
+
+  assert.deepStrictEqual(repo, { name: 'wordpress' });
+  assert.strictEqual(requests, 3);
+  assert.strictEqual(scheduler.stats.retries, 2);
+  // baseDelay * 2^attempt plus up to baseDelay of jitter
+  assert.ok(sleeps[0] >= 1000 && sleeps[0] < 2000, `first wait was ${sleeps[0]}`);
+  assert.ok(sleeps[1] >= 2000 && sleeps[1] < 3000, `second wait was ${sleeps[1]}`);
+});
+
+test('waits for Retry-After on a secondary rate limit 403', async () => {
+  responses = [
+    { status: 403, headers: { 'Retry-After': '7' }, body: { message: 'You have exceeded a secondary rate limit' } },
+    { status: 200 }
+  ];
+  const { source, sleeps } = mockSource();
+
+  await source.makeGitHubRequest('/orgs/howtomgr/repos');
+
+  assert.strictEqual(requests, 2);
+  assert.deepStrictEqual(sleeps, [7000]);
+});
+
+test('pauses the queue until the reset when X-RateLimit-Remaining is 0', async () => {
+  const reset = Math.floor(Date.now() / 1000) + 120;
+  responses = [
+    { status: 200, headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(reset) } },
+    { status: 200 }
+  ];
+  const { source, scheduler, sleeps } = mockSource();
+
+  await source.makeGitHubRequest('/orgs/howtomgr/repos?page=1');
+  assert.deepStrictEqual(sleeps, []);
+
+  await source.makeGitHubRequest('/orgs/howtomgr/repos?page=2');
+  assert.strictEqual(scheduler.stats.rateLimitWaits, 1);
+  assert.strictEqual(sleeps.length, 1);
+  // Paused until a second past the reset
+  assert.ok(sleeps[0] > 119000 && sleeps[0] <= 121000, `paused for ${sleeps[0]}`);
+});
+
+test('gives up after maxRetries and surfaces the last error', async () => {
+  responses = Array.from({ length: 5 }, () => ({ status: 500, body: { message: 'Server Error' } }));
+  const { source, scheduler, sleeps } = mockSource({ maxRetries: 2 });
+
+  await assert.rejects(
+    source.makeGitHubRequest('/repos/howtomgr/wordpress/readme'),
+    error => error.statusCode === 500
+  );
+
+  assert.strictEqual(requests, 3);
+  assert.strictEqual(scheduler.stats.retries, 2);
+  assert.strictEqual(sleeps.length, 2);
+});
+
+test('never runs more tasks at once than its concurrency', async () => {
+  const scheduler = new RequestScheduler({ concurrency: 2 });
+  let inFlight = 0;
+  let peak = 0;
+
+  const task = async () => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    inFlight--;
+    return { statusCode: 200, headers: {} };
+  };
+
+  const results = await Promise.all(Array.from({ length: 8 }, () => scheduler.schedule(task)));
+
+  assert.strictEqual(results.length, 8);
+  assert.strictEqual(peak, 2);
+  assert.strictEqual(scheduler.active, 0);
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { sanitizeHtml, isSafeUrl } = require('../lib/sanitize');
+
+// Nothing that can run script may survive sanitizing
+function assertInert(html) {
+  const output = sanitizeHtml(html);
+  assert.doesNotMatch(output, /<(script|svg|iframe|object|embed|math)\b/i, output);
+  assert.doesNotMatch(output, /<[^>]*\son\w+\s*=/i, output);
+  assert.doesNotMatch(output, /<[^>]*(href|src)="\s*(javascript|vbscript|data):/i, output);
+  return output;
+}
+
+test('isSafeUrl allows http(s), mailto and relative URLs', () => {
+  for (const url of ['https://example.com/', 'http://example.com', 'mailto:admin@example.com', '/docs/', 'docs/setup.md', '#install', '?os=debian']) {
+    assert.strictEqual(isSafeUrl(url), true, url);
+  }
+});
+
+test('isSafeUrl rejects javascript: however it is written', () => {
+  for (const url of ['javascript:alert(1)', 'JavaScript:alert(1)', ' javascript:alert(1)', '\tjavascript:alert(1)', 'java\tscript:alert(1)', 'java\nscript:alert(1)', 'java\u0000script:alert(1)', 'vbscript:msgbox(1)']) {
+    assert.strictEqual(isSafeUrl(url), false, JSON.stringify(url));
+  }
+});
+
+test('isSafeUrl rejects data: URLs', () => {
+  assert.strictEqual(isSafeUrl('data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg=='), false);
+  assert.strictEqual(isSafeUrl('DATA:image/svg+xml,<svg onload=alert(1)>'), false);
+});
+
+test('drops javascript: links hidden with entities, tabs or a leading space', () => {
+  const payloads = [
+    '<a href="javascript:alert(1)">x</a>',
+    '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">x</a>',
+    '<a href="&#x6A;avascript&#x3A;alert(1)">x</a>',
+    '<a href="javascript&colon;alert(1)">x</a>',
+    '<a href="java&Tab;script:alert(1)">x</a>',
+    '<a href="java&#9;script:alert(1)">x</a>',
+    '<a href="java\tscript:alert(1)">x</a>',
+    '<a href=" javascript:alert(1)">x</a>',
+    '<a href="&#32;javascript:alert(1)">x</a>',
+    '<a href=javascript:alert(1)>x</a>'
+  ];
+
+  for (const payload of payloads) {
+    const output = assertInert(payload);
+    assert.doesNotMatch(output, /href=/, payload);
+  }
+});
+
+test('drops data: URLs in links and images', () => {
+  assert.strictEqual(assertInert('<a href="data:text/html;base64,PHNjcmlwdD4=">x</a>'), '<a>x</a>');
+  assert.strictEqual(assertInert('<img src="data:image/svg+xml,&lt;svg onload=alert(1)&gt;" alt="x">'), '<img alt="x">');
+});
+
+test('removes svg with the script inside it', () => {
+  assert.strictEqual(assertInert('<p>a<svg><script>alert(1)</script></svg>b</p>'), '<p>ab</p>');
+  assert.strictEqual(assertInert('<svg onload=alert(1)>'), '');
+  assertInert('<svg><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>');
+});
+
+test('strips event handlers such as img onerror', () => {
+  assert.strictEqual(assertInert('<img src=x onerror=alert(1)>'), '<img src="x">');
+  assert.strictEqual(assertInert('<img src="x" onerror="alert(1)" alt="a">'), '<img src="x" alt="a">');
+  assertInert('<img src=x ONERROR=alert(1)>');
+  assertInert('<img/src=x/onerror=alert(1)>');
+  assertInert('<img src="x" title="a" onerror="alert(1)"//>');
+  assertInert('<details open ontoggle=alert(1)>');
+});
+
+test('removes comment tricks', () => {
+  assert.strictEqual(assertInert('a<!-- <img src=x onerror=alert(1)> -->b'), 'ab');
+  assertInert('<!--><script>alert(1)</script>-->');
+  assertInert('<!-- --!><img src=x onerror=alert(1)>');
+  assertInert('<!-- x --><script>alert(1)</script>');
+  assertInert('<![CDATA[<script>alert(1)</script>]]>');
+  assertInert('<? <img src=x onerror=alert(1)> ?>');
+});
+
+test('does not rebuild a script tag from nested pieces', () => {
+  for (const payload of ['<scr<script>ipt>alert(1)</script>', '<scr<script>x</script>ipt>alert(1)</scr</script>ipt>', '<<script>script>alert(1)<</script>/script>']) {
+    const output = assertInert(payload);
+    // Any "<" left over is text
+    assert.doesNotMatch(output, /<(?!\/?[a-z])/, output);
+  }
+});